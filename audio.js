@@ -0,0 +1,182 @@
+// audio panel and tool sounds
+// sound on / off, a volume for the ambiance and one for the music, and sound effects while
+// drawing: noise shaped by a filter for each kind of tool, louder and brighter the faster the
+// stroke goes. the settings are kept in the browser for the next visit.
+// ref for p5.Noise: https://p5js.org/reference/p5.sound/p5.Noise/
+// ref for p5.BandPass: https://p5js.org/reference/p5.sound/p5.BandPass/
+
+let audioSettings = {
+  on: true,
+  ambiance: 0.5,
+  music: 0.3,
+  effects: true
+};
+
+let soundToggle, effectsToggle; // touchgui toggles
+let ambianceVolume, musicVolume; // touchgui sliders (0 - 100)
+
+let effectNoise; // noise source of the tool sounds, started with the first stroke
+let effectFilter; // shapes the noise into the sound of the tool
+let effectNoiseType; // noise color effectNoise plays now
+let effectMaxSpeed = 20; // paper units per frame at which a tool sound is loudest
+
+// the sound of each kind of tool: noise color, filter frequency at rest and at full speed, filter q
+let effectSounds = {
+  scratch: { noise: "white", low: 2500, high: 6000, q: 3, volume: 0.25 },
+  swish: { noise: "pink", low: 500, high: 1500, q: 0.8, volume: 0.4 },
+  rub: { noise: "brown", low: 250, high: 600, q: 1, volume: 0.5 }
+};
+
+// which sound a tool makes, tools that aren't listed are quiet
+let toolSounds = {
+  pencil: "scratch",
+  pen: "scratch",
+  rotring: "scratch",
+  "2B": "scratch",
+  HB: "scratch",
+  "2H": "scratch",
+  cpencil: "scratch",
+  charcoal: "scratch",
+  hatch_brush: "scratch",
+  highlighter: "swish",
+  paintbrush: "swish",
+  marker: "swish",
+  marker2: "swish",
+  spray: "swish",
+  flow: "swish",
+  eraser: "rub"
+};
+
+// audio controls in a row under the utensils
+function audioPanel() {
+
+  let saved = getItem("audioSettings");
+  if (saved) {
+    Object.assign(audioSettings, saved);
+  }
+
+  soundToggle = createToggle("sound", 0, 0);
+  soundToggle.setStyle(toggleStyle());
+  soundToggle.val = audioSettings.on;
+  soundToggle.onPress = () => changeAudio("on", soundToggle.val);
+
+  ambianceVolume = createSlider("Ambiance", 0, 0, 0, 0, 0, 100);
+  ambianceVolume.setStyle(sliderStyle());
+  ambianceVolume.val = audioSettings.ambiance * 100;
+  ambianceVolume.onChange = () => changeAudio("ambiance", ambianceVolume.val / 100);
+
+  musicVolume = createSlider("Music", 0, 0, 0, 0, 0, 100);
+  musicVolume.setStyle(sliderStyle());
+  musicVolume.val = audioSettings.music * 100;
+  musicVolume.onChange = () => changeAudio("music", musicVolume.val / 100);
+
+  effectsToggle = createToggle("effects", 0, 0);
+  effectsToggle.setStyle(toggleStyle());
+  effectsToggle.val = audioSettings.effects;
+  effectsToggle.onPress = () => changeAudio("effects", effectsToggle.val);
+
+  applyAudio();
+
+}
+
+function layoutAudioPanel() {
+
+  place(soundToggle, 0.125, 0.935, 0.06, 0.045);
+  place(ambianceVolume, 0.245, 0.935, 0.08, 0.045);
+  place(musicVolume, 0.37, 0.935, 0.08, 0.045);
+  place(effectsToggle, 0.455, 0.935, 0.06, 0.045);
+
+}
+
+// captions of the volume sliders
+function drawAudioPanel() {
+
+  push();
+  fill("#303830");
+  noStroke();
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  text("ambiance", windowWidth * 0.19, windowHeight * (0.935 + 0.045 / 2));
+  text("music", windowWidth * 0.33, windowHeight * (0.935 + 0.045 / 2));
+  pop();
+
+}
+
+// keeps a changed setting and applies it
+function changeAudio(name, value) {
+
+  audioSettings[name] = value;
+  storeItem("audioSettings", audioSettings);
+  applyAudio();
+
+}
+
+// ref for amp: https://p5js.org/reference/p5.SoundFile/amp/
+function applyAudio() {
+
+  outputVolume(audioSettings.on ? 1 : 0);
+
+  if (ambiance) {
+    ambiance.amp(audioSettings.ambiance);
+  }
+  if (music) {
+    music.amp(audioSettings.music);
+  }
+
+  if (!audioSettings.effects) {
+    stopStrokeSound();
+  }
+
+}
+
+// the active stroke's sound follows its speed, called every frame of a stroke
+function updateStrokeSound(stroke, state) {
+
+  let sound = effectSounds[toolSounds[stroke.tool]];
+
+  if (!sound || !audioSettings.on || !audioSettings.effects) {
+    stopStrokeSound();
+    return;
+  }
+
+  // the noise starts on the first stroke, browsers only let a gesture start audio
+  if (!effectNoise) {
+    effectFilter = new p5.BandPass();
+    effectNoise = new p5.Noise(sound.noise);
+    effectNoise.disconnect();
+    effectNoise.connect(effectFilter);
+    effectNoise.amp(0);
+    effectNoise.start();
+    effectNoiseType = sound.noise;
+  }
+
+  // setType() restarts the noise, so only when the tool makes another sound
+  if (effectNoiseType !== sound.noise) {
+    effectNoise.setType(sound.noise);
+    effectNoiseType = sound.noise;
+  }
+
+  // the paintbrush has its speed in its spring physics, the other tools go by their samples
+  let speed = state.v;
+  if (stroke.tool !== "paintbrush") {
+    let samples = stroke.samples;
+    let p = samples[samples.length - 1];
+    let pp = samples[max(samples.length - 2, 0)];
+    speed = dist(pp.x, pp.y, p.x, p.y);
+  }
+  let amount = constrain(speed / effectMaxSpeed, 0, 1);
+
+  effectFilter.freq(lerp(sound.low, sound.high, amount));
+  effectFilter.res(sound.q);
+  effectNoise.amp(sound.volume * amount, 0.05); // ramps over 50 ms, so the sound doesn't click
+
+}
+
+// quiet between strokes
+function stopStrokeSound() {
+
+  if (effectNoise) {
+    effectNoise.amp(0, 0.1);
+  }
+
+}
@@ -0,0 +1,107 @@
+// textured brushes from p5.brush
+// p5.brush only draws on a WEBGL renderer and the main canvas stays 2D for touchgui, so the
+// brushes draw into a WEBGL buffer the size of the paper. a stroke copies its layer into the
+// buffer when it starts (the marker brushes mix with the paint under them) and the buffer is
+// copied back into the layer after every sample it draws.
+// ref for p5.brush: https://github.com/acamposuribe/p5.brush
+
+let brushBuffer; // WEBGL buffer p5.brush draws into
+let brushState; // tool state of the stroke whose layer is in brushBuffer
+
+// the standard brushes of p5.brush, each one is a tool in the switcher
+let brushNames = ["pen", "rotring", "2B", "HB", "2H", "cpencil", "charcoal", "hatch_brush", "spray", "marker", "marker2"];
+let brushButtons = []; // one dom button per brush
+let brushWeightScale = 0.1; // p5.brush weight per unit of the thickness slider (10 - 100)
+
+// loads p5.brush into its buffer and registers the brushes as tools
+function setupBrushes() {
+
+  brushBuffer = createGraphics(paperWidth, paperHeight, WEBGL);
+  brushBuffer.pixelDensity(paperDensity);
+  brush.load(brushBuffer);
+
+  // same dom buttons as toolButton(), in their own column
+  for (let name of brushNames) {
+    let button = createElement("button", name.replace("_", " "));
+    button.addClass("tool-button");
+    brushButtons.push(button);
+
+    addTool(name, button, (g, stroke, p, pp, state) => texturedStroke(name, g, stroke, p, pp, state));
+  }
+
+}
+
+// a column of brush buttons left of the paper, next to the other tool buttons
+function layoutBrushButtons() {
+
+  for (let i = 0; i < brushButtons.length; i++) {
+    placeElement(brushButtons[i], 0.005, 0.155 + i * 0.042, 0.055, 0.036);
+  }
+
+}
+
+// copies layer g into brushBuffer when a stroke starts drawing with p5.brush, the buffer then
+// holds the layer as it is, including the samples of this stroke drawn so far
+function loadBrushBuffer(g, state) {
+
+  // the mirrored copies of a symmetry stroke draw on in the same buffer
+  state = state.main || state;
+
+  if (brushState === state) {
+    return;
+  }
+
+  brushState = state;
+  brushBuffer.clear();
+  brushBuffer.push();
+  brushBuffer.image(g, -brushBuffer.width / 2, -brushBuffer.height / 2, brushBuffer.width, brushBuffer.height);
+  brushBuffer.pop();
+
+}
+
+// runs the p5.brush calls in drawing() in paper units and copies the buffer back into layer g
+function drawWithBrush(g, drawing) {
+
+  brushBuffer.push();
+  brushBuffer.translate(-brushBuffer.width / 2, -brushBuffer.height / 2); // WEBGL has its origin in the center
+  drawing();
+  brushBuffer.pop();
+
+  g.clear();
+  g.image(brushBuffer, 0, 0, g.width, g.height);
+
+}
+
+// draws one sample with the p5.brush brush of that name
+function texturedStroke(name, g, stroke, p, pp, state) {
+
+  loadBrushBuffer(g, state);
+
+  if (!insidePaper(p)) {
+    // the line starts over where the stroke comes back onto the paper
+    state.from = undefined;
+    return;
+  }
+
+  let weight = stroke.size * brushWeightScale * pressureScale(p);
+
+  if (!state.from) {
+    state.from = { x: p.x, y: p.y };
+    return;
+  }
+
+  // short moves are saved up, p5.brush draws nothing on a line shorter than its tip spacing
+  if (dist(state.from.x, state.from.y, p.x, p.y) < weight) {
+    return;
+  }
+
+  drawWithBrush(g, () => {
+    brush.pick(name);
+    brush.stroke(stroke.color);
+    brush.strokeWeight(weight);
+    brush.line(state.from.x, state.from.y, p.x, p.y);
+  });
+
+  state.from = { x: p.x, y: p.y };
+
+}
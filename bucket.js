@@ -0,0 +1,178 @@
+// paint bucket
+// fills the connected region under the click with the brush color. the region is found
+// once, when the bucket is used, and kept in the stroke as runs of pixels, so loading or
+// replaying the painting fills the same pixels, even when the other layers it looked at
+// have changed since.
+
+let bucketTolerance; // touchgui slider, how far a pixel's color may be from the clicked one (0 - 100)
+let bucketAllLayers; // touchgui toggle, find the region on all visible layers instead of the active one
+
+// registers the bucket with its options
+function setupBucket() {
+
+  let bucket = addTool("bucket", toolButton("bucket"), bucketStroke);
+
+  bucketTolerance = createSlider("Tolerance", 0, 0, 0, 0, 0, 100);
+  bucketTolerance.setStyle(sliderStyle());
+  bucketTolerance.val = 10;
+
+  bucketAllLayers = createToggle("all layers", 0, 0);
+  bucketAllLayers.setStyle(toggleStyle());
+
+  bucket.options = [
+    { caption: "tolerance", w: 0.05 },
+    { control: bucketTolerance, w: 0.12 },
+    { control: bucketAllLayers, w: 0.08 }
+  ];
+
+}
+
+// bucket stroke, fills at the first sample on the paper
+function bucketStroke(g, stroke, p, pp, state) {
+
+  if (state.filled || !insidePaper(p)) {
+    return;
+  }
+
+  state.filled = true;
+
+  // the settings are kept with the region, the mirrored copies of a symmetry stroke find theirs with them
+  if (!stroke.bucket) {
+    stroke.bucket = { tolerance: bucketTolerance.val, allLayers: bucketAllLayers.val };
+  }
+
+  if (!stroke.region) {
+    stroke.region = findRegion(g, p, stroke.bucket.tolerance, stroke.bucket.allLayers);
+  }
+
+  fillRegion(g, stroke.region, stroke.color);
+
+}
+
+// scanline flood fill from p over the pixels of g (or of all visible layers).
+// the region is returned as runs of pixels, [y, x0, x1] for each run, in a flat array
+// ref: https://en.wikipedia.org/wiki/Flood_fill#Span_filling
+function findRegion(g, p, tolerance, allLayers) {
+
+  let source = g;
+
+  if (allLayers) {
+    source = createGraphics(paperWidth, paperHeight);
+    source.pixelDensity(paperDensity);
+    for (let layer of layers) {
+      if (layer.visible) {
+        source.tint(255, layer.opacity * 255);
+        source.image(layer.buffer, 0, 0, paperWidth, paperHeight);
+      }
+    }
+  }
+
+  source.loadPixels();
+
+  let d = source.pixelDensity();
+  let w = source.width * d;
+  let h = source.height * d;
+  let pixels = source.pixels;
+
+  let seedX = constrain(floor(p.x * d), 0, w - 1);
+  let seedY = constrain(floor(p.y * d), 0, h - 1);
+  let seed = (seedY * w + seedX) * 4;
+  let target = [pixels[seed], pixels[seed + 1], pixels[seed + 2], pixels[seed + 3]];
+  let limit = tolerance * 2.55;
+
+  let seen = new Uint8Array(w * h);
+
+  // a pixel joins the region when every channel (alpha too) is close enough to the clicked pixel
+  let inRegion = (x, y) => {
+    let i = y * w + x;
+    if (seen[i]) {
+      return false;
+    }
+    i *= 4;
+    return abs(pixels[i] - target[0]) <= limit &&
+      abs(pixels[i + 1] - target[1]) <= limit &&
+      abs(pixels[i + 2] - target[2]) <= limit &&
+      abs(pixels[i + 3] - target[3]) <= limit;
+  };
+
+  let spans = [];
+  let stack = [seedX, seedY];
+
+  while (stack.length > 0) {
+
+    let y = stack.pop();
+    let x = stack.pop();
+
+    if (!inRegion(x, y)) {
+      continue;
+    }
+
+    // widen the run to the left and right
+    let x0 = x;
+    while (x0 > 0 && inRegion(x0 - 1, y)) {
+      x0--;
+    }
+    let x1 = x;
+    while (x1 < w - 1 && inRegion(x1 + 1, y)) {
+      x1++;
+    }
+
+    seen.fill(1, y * w + x0, y * w + x1 + 1);
+    spans.push(y, x0, x1);
+
+    // one seed for every run of matching pixels above and below
+    for (let ny of [y - 1, y + 1]) {
+      if (ny < 0 || ny >= h) {
+        continue;
+      }
+      let nx = x0;
+      while (nx <= x1) {
+        if (inRegion(nx, ny)) {
+          stack.push(nx, ny);
+          while (nx <= x1 && inRegion(nx, ny)) {
+            nx++;
+          }
+        } else {
+          nx++;
+        }
+      }
+    }
+  }
+
+  if (allLayers) {
+    source.remove();
+  }
+
+  return {
+    width: w,
+    height: h,
+    spans: spans
+  };
+
+}
+
+// paints the region's pixels into g, the region covers the whole paper whatever its pixel size
+function fillRegion(g, region, fillColor) {
+
+  let c = color(fillColor);
+  let r = red(c);
+  let gr = green(c);
+  let b = blue(c);
+  let img = createImage(region.width, region.height);
+
+  img.loadPixels();
+  for (let i = 0; i < region.spans.length; i += 3) {
+    let y = region.spans[i];
+    for (let x = region.spans[i + 1]; x <= region.spans[i + 2]; x++) {
+      let j = (y * region.width + x) * 4;
+      img.pixels[j] = r;
+      img.pixels[j + 1] = gr;
+      img.pixels[j + 2] = b;
+      img.pixels[j + 3] = 255;
+    }
+  }
+  img.updatePixels();
+
+  g.image(img, 0, 0, paperWidth, paperHeight);
+
+}
@@ -0,0 +1,136 @@
+// eraser
+// takes paint off the active layer instead of painting white over it, so the paper and the
+// background art show through. the stroke is drawn as a mask (soft round dabs) and the layer,
+// as it was when the stroke started, is drawn again with the mask cut out at the eraser's
+// opacity (see strokeink.js), so going over the same spot in one stroke never erases more than
+// the opacity.
+// ref for destination-out: https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/globalCompositeOperation
+
+let eraserSoftness; // touchgui slider, how much of the eraser's radius fades out (0 - 100)
+let eraserOpacity; // touchgui slider, how much paint a stroke takes off at most (0 - 100)
+let eraserOnlyColor; // touchgui toggle, erase only paint close to the brush color
+let eraserTolerance = 20; // color tolerance (0 - 100) of "this color"
+
+let eraserMatch; // the pixels of the brush color, for "this color"
+let eraserState; // tool state of the stroke eraserMatch belongs to
+
+// registers the eraser with its options
+function setupEraser() {
+
+  let eraserTool = addTool("eraser", eraserBrush, eraser);
+
+  eraserSoftness = createSlider("Softness", 0, 0, 0, 0, 0, 100);
+  eraserSoftness.setStyle(sliderStyle());
+  eraserSoftness.val = 0;
+
+  eraserOpacity = createSlider("Opacity", 0, 0, 0, 0, 0, 100);
+  eraserOpacity.setStyle(sliderStyle());
+  eraserOpacity.val = 100;
+
+  eraserOnlyColor = createToggle("this color", 0, 0);
+  eraserOnlyColor.setStyle(toggleStyle());
+
+  eraserTool.options = [
+    { caption: "soft", w: 0.03 },
+    { control: eraserSoftness, w: 0.1 },
+    { caption: "opacity", w: 0.04 },
+    { control: eraserOpacity, w: 0.1 },
+    { control: eraserOnlyColor, w: 0.07 }
+  ];
+
+}
+
+// eraser brush
+function eraser(g, stroke, p, pp, state) {
+
+  // the settings are kept in the stroke, so it erases the same when drawn again
+  if (!stroke.erase) {
+    stroke.erase = {
+      softness: eraserSoftness.val / 100,
+      opacity: eraserOpacity.val / 100,
+      onlyColor: eraserOnlyColor.val
+    };
+  }
+
+  // the brush color is matched on the layer as it was when the stroke started
+  if (eraserState !== (state.main || state)) {
+    eraserState = state.main || state;
+    eraserMatch = stroke.erase.onlyColor ? colorMatch(g, stroke.color) : undefined;
+  }
+
+  // the mirrored copies of a symmetry stroke erase into the same mask
+  let mask = strokeInk(g, state);
+
+  // if statement checks if the sample is within the white canvas
+  if (!insidePaper(p)) {
+    return;
+  }
+
+  // dabs along the line from the previous sample, close enough to look like a line
+  let radius = stroke.size / 2;
+  let steps = max(ceil(dist(pp.x, pp.y, p.x, p.y) / max(radius * 0.25, 0.5)), 1);
+  for (let i = 1; i <= steps; i++) {
+    eraserDab(mask, lerp(pp.x, p.x, i / steps), lerp(pp.y, p.y, i / steps), radius, stroke.erase.softness);
+  }
+
+  let box = inkBox([[pp.x, pp.y], [p.x, p.y]], radius + 1);
+
+  // the mask keeps only the pixels of the brush color
+  if (eraserMatch) {
+    mask.push();
+    mask.drawingContext.globalCompositeOperation = "destination-in";
+    drawBox(mask, eraserMatch, box);
+    mask.pop();
+  }
+
+  // the layer as it was, less the mask
+  showInk(g, box, "destination-out", stroke.erase.opacity);
+
+}
+
+// one round dab on the mask, solid in the middle and fading out over the soft part of the radius
+function eraserDab(mask, x, y, radius, softness) {
+
+  let ctx = mask.drawingContext;
+
+  // a gradient between two equal circles paints nothing, so a hard dab is plain black
+  if (softness > 0) {
+    let edge = ctx.createRadialGradient(x, y, radius * (1 - softness), x, y, radius);
+    edge.addColorStop(0, "rgba(0, 0, 0, 1)");
+    edge.addColorStop(1, "rgba(0, 0, 0, 0)");
+    ctx.fillStyle = edge;
+  } else {
+    ctx.fillStyle = "black";
+  }
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, TWO_PI);
+  ctx.fill();
+
+}
+
+// an image of g's size, opaque where g has paint close to the color and clear everywhere else
+function colorMatch(g, matchColor) {
+
+  let c = color(matchColor);
+  let target = [red(c), green(c), blue(c)];
+  let limit = eraserTolerance * 2.55;
+
+  g.loadPixels();
+
+  let d = g.pixelDensity();
+  let img = createImage(g.width * d, g.height * d);
+
+  img.loadPixels();
+  for (let i = 0; i < g.pixels.length; i += 4) {
+    if (g.pixels[i + 3] > 0 &&
+      abs(g.pixels[i] - target[0]) <= limit &&
+      abs(g.pixels[i + 1] - target[1]) <= limit &&
+      abs(g.pixels[i + 2] - target[2]) <= limit) {
+      img.pixels[i + 3] = 255;
+    }
+  }
+  img.updatePixels();
+
+  return img;
+
+}
@@ -0,0 +1,138 @@
+// export of the painted area
+// composites the visible layers into an off-screen buffer the size of the paper
+// (times the scale factor) and downloads it as png, jpeg or webp.
+
+let exportFormat = "png"; // "png", "jpeg" or "webp"
+let exportScale = 1; // 1x, 2x or 4x the paper size (paperWidth x paperHeight pixels at 1x)
+let exportTransparent = false; // leave out the background art (png and webp only)
+
+// touchgui controls of the export panel
+let formatToggles = []; // one toggle per format
+let scaleToggles = []; // one toggle per scale factor
+let transparentToggle, saveButton;
+
+// mime types for toBlob(): https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement/toBlob
+let exportTypes = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp"
+};
+
+// downloads the paper with the current export settings
+function exportPainting() {
+
+  let g = createGraphics(paperWidth * exportScale, paperHeight * exportScale);
+  g.pixelDensity(1);
+
+  // jpeg has no alpha channel, so it always gets the background
+  if (!exportTransparent || exportFormat === "jpeg") {
+    g.background("white");
+
+    // the part of the background art that sits under the paper on screen
+    if (canvasBg && canvasBg.width > 1) {
+      let paper = fittedPaperRect();
+      let sx = canvasBg.width / width;
+      let sy = canvasBg.height / height;
+      g.image(canvasBg, 0, 0, g.width, g.height, paper.x * sx, paper.y * sy, paper.w * sx, paper.h * sy);
+    }
+  }
+
+  for (let layer of layers) {
+    if (layer.visible) {
+      g.tint(255, layer.opacity * 255);
+      g.blendMode(layerBlend(layer));
+      g.image(layer.buffer, 0, 0, g.width, g.height);
+    }
+  }
+
+  g.elt.toBlob(blob => {
+
+    // no image when the canvas is too big for the browser, the message shows with the file ones
+    if (!blob) {
+      g.remove();
+      showPaintingMessage("couldn't export the image, try a smaller size");
+      return;
+    }
+
+    // a browser that can't write the format gives a png, the file is named for what it got
+    let format = Object.keys(exportTypes).find(name => exportTypes[name] === blob.type) || "png";
+
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "michellepaints." + format;
+    link.click();
+
+    // give the download a moment before the url and the buffer are released
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    g.remove();
+  }, exportTypes[exportFormat], 0.92);
+
+}
+
+// export panel under the layer panel
+function exportPanel() {
+
+  // format: png / jpeg / webp, behave like radio buttons
+  let formats = Object.keys(exportTypes);
+  for (let i = 0; i < formats.length; i++) {
+    let toggle = createToggle(formats[i], 0, 0, 0, 0, formats[i] === exportFormat);
+    toggle.setStyle(toggleStyle());
+    toggle.onPress = () => {
+      exportFormat = formats[i];
+      updateExportPanel();
+    };
+    formatToggles.push(toggle);
+  }
+
+  // scale factor: 1x / 2x / 4x
+  let scales = [1, 2, 4];
+  for (let i = 0; i < scales.length; i++) {
+    let toggle = createToggle(scales[i] + "x", 0, 0, 0, 0, scales[i] === exportScale);
+    toggle.setStyle(toggleStyle());
+    toggle.scale = scales[i];
+    toggle.onPress = () => {
+      exportScale = scales[i];
+      updateExportPanel();
+    };
+    scaleToggles.push(toggle);
+  }
+
+  transparentToggle = createToggle("transparent", 0, 0, 0, 0, exportTransparent);
+  transparentToggle.setStyle(toggleStyle());
+  transparentToggle.onPress = () => {
+    exportTransparent = transparentToggle.val;
+  };
+
+  saveButton = createButton("save", 0, 0);
+  saveButton.setStyle(buttonStyle());
+  saveButton.onPress = exportPainting;
+
+}
+
+function layoutExportPanel() {
+
+  for (let i = 0; i < formatToggles.length; i++) {
+    place(formatToggles[i], 0.80 + i * 0.058, 0.78, 0.054, 0.045);
+  }
+
+  for (let i = 0; i < scaleToggles.length; i++) {
+    place(scaleToggles[i], 0.80 + i * 0.058, 0.84, 0.054, 0.045);
+  }
+
+  place(transparentToggle, 0.80, 0.90, 0.09, 0.045);
+  place(saveButton, 0.90, 0.90, 0.07, 0.045);
+
+}
+
+// keeps only the chosen format and scale toggled on
+function updateExportPanel() {
+
+  for (let toggle of formatToggles) {
+    toggle.val = (toggle.label === exportFormat);
+  }
+
+  for (let toggle of scaleToggles) {
+    toggle.val = (toggle.scale === exportScale);
+  }
+
+}
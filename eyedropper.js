@@ -0,0 +1,115 @@
+// eyedropper
+// picks the brush color from the painting as it is shown: the layers composited over the
+// paper, with their opacity and the colors p5.brush mixed. the eyedropper tool or alt with
+// any tool shows a loupe over the pointer, the color under it is taken on release.
+
+let picking = false; // true from a press on the paper with the eyedropper until the release
+let pickedColor; // the composited color under the pointer, as [r, g, b, a]
+let loupeImage; // the pixels around the pointer, magnified in the loupe
+let loupePixels = 11; // screen pixels across the loupe, an odd number keeps one in the middle
+let loupeSize = 99; // size of the loupe on screen
+let eyedropperCursor = false; // true while the eyedropper shows its cross cursor
+
+// registers the eyedropper tool
+function setupEyedropper() {
+
+  // the eyedropper draws no strokes, draw() starts a pick instead
+  addTool("eyedropper", toolButton("eyedropper"), () => {});
+
+}
+
+// true when a press on the paper picks a color instead of starting a stroke
+function eyedropperActive() {
+
+  return activeTool.name === "eyedropper" || keyIsDown(ALT);
+
+}
+
+// reads the color under the pointer from the canvas, called after the layers are drawn
+// and before anything is drawn over them
+function updateEyedropper() {
+
+  let hovering = eyedropperActive() && overPaper() && !strokeInProgress && !replaying;
+
+  // the cursor is only set when it changes, the move cursor of the view stays while it is shown
+  if ((hovering || picking) !== eyedropperCursor) {
+    eyedropperCursor = hovering || picking;
+    if (!viewCursor) {
+      cursor(eyedropperCursor ? CROSS : ARROW);
+    }
+  }
+
+  if (!hovering && !picking) {
+    loupeImage = undefined;
+    return;
+  }
+
+  // ref for get(): https://p5js.org/reference/p5/get/
+  let x = constrain(mouseX, 0, width - 1);
+  let y = constrain(mouseY, 0, height - 1);
+  let half = floor(loupePixels / 2);
+
+  pickedColor = get(x, y);
+  loupeImage = get(x - half, y - half, loupePixels, loupePixels);
+
+}
+
+// the loupe next to the pointer, with the picked color under it
+function drawLoupe() {
+
+  if (!loupeImage) {
+    return;
+  }
+
+  let cx = mouseX + loupeSize * 0.75;
+  let cy = mouseY - loupeSize * 0.75;
+  let cell = loupeSize / loupePixels;
+
+  push();
+
+  // the pixels, big and sharp, in a circle
+  drawingContext.save();
+  drawingContext.beginPath();
+  drawingContext.arc(cx, cy, loupeSize / 2, 0, TWO_PI);
+  drawingContext.clip();
+  drawingContext.imageSmoothingEnabled = false;
+  image(loupeImage, cx - loupeSize / 2, cy - loupeSize / 2, loupeSize, loupeSize);
+  drawingContext.restore();
+
+  noFill();
+  stroke("#303830");
+  strokeWeight(2);
+  circle(cx, cy, loupeSize);
+
+  // the pixel that is picked
+  strokeWeight(1);
+  rect(cx - cell / 2, cy - cell / 2, cell, cell);
+
+  // and its color
+  fill(pickedColor);
+  rect(cx - loupeSize / 2, cy + loupeSize / 2 + 6, loupeSize, 14, 7);
+
+  pop();
+
+}
+
+// a press on the paper with the eyedropper
+function beginPick() {
+
+  picking = true;
+
+}
+
+// the release sets the brush color to the last color under the pointer
+function endPick() {
+
+  picking = false;
+
+  if (!pickedColor) {
+    return;
+  }
+
+  let c = "#" + hex(pickedColor[0], 2) + hex(pickedColor[1], 2) + hex(pickedColor[2], 2);
+  setBrushColor(c.toLowerCase());
+
+}
@@ -0,0 +1,163 @@
+// flow field brush
+// dragging on the paper lets p5.brush flow lines grow from the pointer, each one following
+// the picked vector field. the fields are random, so every stroke keeps the name and seed of
+// its field and generates it again from them, a field stays the same until "new field".
+// ref for vector fields: https://github.com/acamposuribe/p5.brush#vector-fields
+
+let flowFields = ["curved", "truncated", "zigzag", "waves", "seabed"]; // the fields p5.brush comes with
+let flowField = "curved"; // field the next stroke follows
+let flowSeed = 1; // seed of that field, new with "new field"
+let flowFieldKey; // name and seed of the field p5.brush has generated now
+
+let flowFieldButton; // touchgui button, shows the field and picks the next one
+let flowNewButton; // touchgui button, a new random field of the same kind
+let flowDensity; // touchgui slider, flow lines per flowGap paper units dragged (1 - 10)
+let flowShow; // touchgui toggle, faint overlay of the field over the paper
+let flowGap = 30; // paper units the density is counted over
+let flowLength = 1.5; // length of a flow line per unit of the thickness slider
+let flowOverlay; // overlay lines of the shown field, with the key they were made for
+
+// registers the flow tool with its options
+function setupFlow() {
+
+  flowSeed = floor(Math.random() * 1000000000);
+
+  let flow = addTool("flow", toolButton("flow"), flowStroke);
+  flow.overlay = drawFlowOverlay;
+
+  flowFieldButton = createButton(flowField, 0, 0);
+  flowFieldButton.setStyle(buttonStyle());
+  flowFieldButton.onPress = () => {
+    flowField = flowFields[(flowFields.indexOf(flowField) + 1) % flowFields.length];
+    flowFieldButton.label = flowField;
+  };
+
+  flowNewButton = createButton("new field", 0, 0);
+  flowNewButton.setStyle(buttonStyle());
+  flowNewButton.onPress = () => {
+    flowSeed = floor(Math.random() * 1000000000);
+  };
+
+  flowDensity = createSlider("Density", 0, 0, 0, 0, 1, 10);
+  flowDensity.setStyle(sliderStyle());
+  flowDensity.val = 3;
+
+  flowShow = createToggle("show field", 0, 0);
+  flowShow.setStyle(toggleStyle());
+  flowShow.val = true;
+
+  // the brush is the one the shape tools draw with
+  flow.options = [
+    { caption: "brush", w: 0.03 },
+    { control: shapeBrushButton, w: 0.06 },
+    { caption: "field", w: 0.03 },
+    { control: flowFieldButton, w: 0.06 },
+    { control: flowNewButton, w: 0.06 },
+    { caption: "density", w: 0.04 },
+    { control: flowDensity, w: 0.07 },
+    { control: flowShow, w: 0.06 }
+  ];
+
+}
+
+// makes p5.brush follow a field, generating it from its seed when another one is there
+function useFlowField(field) {
+
+  let key = field.name + " " + field.seed;
+
+  if (flowFieldKey !== key) {
+    randomSeed(field.seed);
+    noiseSeed(field.seed);
+    brush.field(field.name);
+    brush.refreshField(0); // all fields share one grid in p5.brush, so it is filled again
+    flowFieldKey = key;
+  }
+
+  brush.field(field.name);
+
+}
+
+// flow stroke, a few flow lines around every sample, more the further the pointer goes
+function flowStroke(g, stroke, p, pp, state) {
+
+  loadBrushBuffer(g, state);
+
+  if (!stroke.field) {
+    stroke.field = { name: flowField, seed: flowSeed };
+    stroke.brush = shapeBrush;
+    stroke.density = flowDensity.val;
+  }
+
+  if (!insidePaper(p)) {
+    return;
+  }
+
+  let gap = flowGap / stroke.density;
+  state.travel += dist(pp.x, pp.y, p.x, p.y);
+
+  // the first sample always has a line, fast drags get a few at most
+  let count = (p === pp) ? 1 : min(floor(state.travel / gap), 8);
+  if (count === 0) {
+    return;
+  }
+  state.travel = max(state.travel - count * gap, 0);
+
+  let weight = stroke.size * brushWeightScale * pressureScale(p);
+  let spread = stroke.size * 0.3;
+
+  drawWithBrush(g, () => {
+    useFlowField(stroke.field);
+    randomSeed(stroke.seed + state.sample); // generating the field used up the sample's randomness
+
+    brush.pick(stroke.brush);
+    brush.stroke(stroke.color);
+    brush.strokeWeight(weight);
+    for (let i = 0; i < count; i++) {
+      brush.flowLine(p.x + random(-spread, spread), p.y + random(-spread, spread), stroke.size * flowLength, 0);
+    }
+
+    brush.noField(); // the other brushes draw straight
+  });
+
+}
+
+// faint short lines over the paper in the direction of the field the next stroke follows
+function drawFlowOverlay() {
+
+  if (!flowShow.val || replaying) {
+    return;
+  }
+
+  let key = flowField + " " + flowSeed;
+
+  if (!flowOverlay || flowOverlay.key !== key) {
+    flowOverlay = { key: key, lines: [] };
+
+    // the field's angles are read where p5.brush reads them, in the buffer moved like drawWithBrush()
+    brushBuffer.push();
+    brushBuffer.translate(-brushBuffer.width / 2, -brushBuffer.height / 2);
+    useFlowField({ name: flowField, seed: flowSeed });
+    for (let x = 12; x < paperWidth; x += 24) {
+      for (let y = 12; y < paperHeight; y += 24) {
+        let angle = radians(new brush.Pos(x, y).angle()); // p5.brush keeps the field in degrees
+        flowOverlay.lines.push([x, y, cos(angle), sin(angle)]);
+      }
+    }
+    brush.noField();
+    brushBuffer.pop();
+  }
+
+  let paper = paperRect();
+  let half = 8 * paper.scale; // half the length of a line
+
+  push();
+  stroke(48, 56, 48, 60);
+  strokeWeight(1);
+  for (let [x, y, dx, dy] of flowOverlay.lines) {
+    let sx = paper.x + x * paper.scale;
+    let sy = paper.y + y * paper.scale;
+    line(sx - dx * half, sy - dy * half, sx + dx * half, sy + dy * half);
+  }
+  pop();
+
+}
@@ -0,0 +1,113 @@
+// hatching
+// shades a region with hatch lines of a p5.brush brush in the brush color. the region is a
+// lasso, or a click inside a shape, outlined like a watercolor wash. the outline and the
+// hatch options are kept in the stroke when it ends, so the hatching draws the same again.
+// ref for hatching: https://github.com/acamposuribe/p5.brush#hatching-operations
+
+let hatchSpacing; // touchgui slider, paper units between the lines (2 - 40)
+let hatchAngle; // touchgui slider, angle of the lines in degrees (0 - 180)
+let hatchRand; // touchgui slider, how much the ends of the lines wander (0 - 100)
+let hatchGradient; // touchgui slider, how much the spacing grows from line to line (0 - 100)
+let hatchCross; // touchgui toggle, a second set of lines
+let hatchCrossAngle; // touchgui slider, degrees the second set is turned from the first (0 - 180)
+let hatchContinuous; // touchgui toggle, joins the lines into one zigzag
+
+// registers the hatching tool with its options
+function setupHatching() {
+
+  // the samples only trace the region, the lines are drawn by hatchFinish()
+  let hatching = addTool("hatching", toolButton("hatching"), () => {});
+  hatching.finish = hatchFinish;
+  hatching.preview = lassoPreview;
+
+  hatchSpacing = createSlider("Spacing", 0, 0, 0, 0, 2, 40);
+  hatchSpacing.setStyle(sliderStyle());
+  hatchSpacing.val = 8;
+
+  hatchAngle = createSlider("Angle", 0, 0, 0, 0, 0, 180);
+  hatchAngle.setStyle(sliderStyle());
+  hatchAngle.val = 45;
+
+  hatchRand = createSlider("Rand", 0, 0, 0, 0, 0, 100);
+  hatchRand.setStyle(sliderStyle());
+  hatchRand.val = 10;
+
+  hatchGradient = createSlider("Gradient", 0, 0, 0, 0, 0, 100);
+  hatchGradient.setStyle(sliderStyle());
+  hatchGradient.val = 0;
+
+  hatchCross = createToggle("cross", 0, 0);
+  hatchCross.setStyle(toggleStyle());
+
+  hatchCrossAngle = createSlider("Cross angle", 0, 0, 0, 0, 0, 180);
+  hatchCrossAngle.setStyle(sliderStyle());
+  hatchCrossAngle.val = 90;
+
+  hatchContinuous = createToggle("zigzag", 0, 0);
+  hatchContinuous.setStyle(toggleStyle());
+
+  // the brush is the one the shape tools draw with
+  hatching.options = [
+    { caption: "brush", w: 0.03 },
+    { control: shapeBrushButton, w: 0.06 },
+    { caption: "spacing", w: 0.04 },
+    { control: hatchSpacing, w: 0.055 },
+    { caption: "angle", w: 0.03 },
+    { control: hatchAngle, w: 0.055 },
+    { caption: "rand", w: 0.025 },
+    { control: hatchRand, w: 0.05 },
+    { caption: "gradient", w: 0.045 },
+    { control: hatchGradient, w: 0.05 },
+    { control: hatchCross, w: 0.04 },
+    { caption: "at", w: 0.012 },
+    { control: hatchCrossAngle, w: 0.045 },
+    { control: hatchContinuous, w: 0.05 }
+  ];
+
+}
+
+// hatches the stroke's outline when the stroke is done
+function hatchFinish(g, stroke, state) {
+
+  if (!stroke.polygon) {
+    stroke.polygon = lassoOutline(g, stroke);
+    stroke.brush = shapeBrush;
+    stroke.hatch = {
+      spacing: hatchSpacing.val,
+      angle: hatchAngle.val,
+      rand: hatchRand.val / 100,
+      gradient: hatchGradient.val / 100,
+      cross: hatchCross.val,
+      crossAngle: hatchCrossAngle.val,
+      continuous: hatchContinuous.val
+    };
+  }
+
+  if (stroke.polygon.length < 3) {
+    return;
+  }
+
+  let hatch = stroke.hatch;
+  let options = {
+    rand: hatch.rand,
+    gradient: hatch.gradient,
+    continuous: hatch.continuous
+  };
+
+  loadBrushBuffer(g, state);
+  drawWithBrush(g, () => {
+    brush.pick(stroke.brush);
+    brush.stroke(stroke.color);
+    brush.strokeWeight(stroke.size * brushWeightScale);
+
+    // p5.brush reads the angle in the sketch's angle mode
+    let outline = new brush.Polygon(stroke.polygon);
+    outline.hatch(hatch.spacing, radians(hatch.angle), options);
+    if (hatch.cross) {
+      // hatchings from before the cross angle crossed at a right angle
+      let crossAngle = hatch.crossAngle === undefined ? 90 : hatch.crossAngle;
+      outline.hatch(hatch.spacing, radians(hatch.angle + crossAngle), options);
+    }
+  });
+
+}
@@ -0,0 +1,201 @@
+// undo / redo history
+// every press-drag-release on the paper is one entry: a snapshot of the layer it
+// drew into (pixels, stroke records and wet paint), from before the stroke. undo swaps it with
+// the current layer, redo swaps it back. a merge is an entry of the layer below, with the
+// merged layer kept in merged so undo can put it back into the stack.
+
+let undoStack = []; // { layer, snapshot, strokes, wet, merged } from before each stroke, newest last
+let redoStack = []; // entries taken off by undo, newest last
+let droppedRedo = []; // the redo entries the stroke in progress dropped, back if it is taken back
+let historySteps = 50; // max number of undo steps kept
+let historyMemory = 256 * 1024 * 1024; // max bytes of snapshots kept (256 MB)
+
+// saves a layer (the active one by default) as it is right before a new stroke. for a merge,
+// merged is { layer, index } of the layer merged into it
+function recordHistory(layer = activeLayer, merged = undefined) {
+
+  let entry = takeSnapshot(layer);
+  entry.merged = merged;
+  undoStack.push(entry);
+
+  // a new stroke makes the undone strokes unreachable
+  droppedRedo = redoStack;
+  redoStack = [];
+
+  trimHistory();
+
+}
+
+// takes back the last stroke
+function undo() {
+
+  // wait until the current stroke is finished
+  if (undoStack.length === 0 || strokeInProgress) {
+    return;
+  }
+
+  let entry = undoStack.pop();
+  let redoEntry = takeSnapshot(entry.layer);
+  redoEntry.merged = entry.merged;
+  redoStack.push(redoEntry);
+  restoreSnapshot(entry);
+
+  // an undone merge puts the merged layer back where it was
+  if (entry.merged) {
+    layers.splice(entry.merged.index, 0, entry.merged.layer);
+    selectLayer(entry.merged.layer);
+  }
+
+  // the redo snapshots count for the memory budget too
+  trimHistory();
+
+}
+
+// puts back the last undone stroke
+function redo() {
+
+  if (redoStack.length === 0 || strokeInProgress) {
+    return;
+  }
+
+  let entry = redoStack.pop();
+  let undoEntry = takeSnapshot(entry.layer);
+  undoEntry.merged = entry.merged;
+  undoStack.push(undoEntry);
+  restoreSnapshot(entry);
+
+  // a merge done again takes the merged layer out of the stack again
+  if (entry.merged) {
+    layers.splice(layers.indexOf(entry.merged.layer), 1);
+    selectLayer(entry.layer);
+  }
+
+  trimHistory();
+
+}
+
+// puts the layer of the last entry back without keeping a redo entry, for a stroke that is
+// taken back before it ended. the redo entries are as they were before the stroke
+function discardHistory() {
+
+  if (undoStack.length > 0) {
+    restoreSnapshot(undoStack.pop());
+  }
+
+  redoStack = droppedRedo;
+  droppedRedo = [];
+
+}
+
+// the stroke is done, the redo entries it dropped are gone for good
+function keepHistory() {
+
+  droppedRedo = [];
+
+}
+
+// drops the entries of a deleted layer, there is nothing left to restore them into, and the
+// merges into other layers it could be taken out by again
+function forgetLayerHistory(layer) {
+
+  let kept = entry => entry.layer !== layer && !(entry.merged && entry.merged.layer === layer);
+
+  for (let entry of undoStack) {
+    if (!kept(entry)) {
+      forgetEntry(entry);
+    }
+  }
+
+  undoStack = undoStack.filter(kept);
+  redoStack = redoStack.filter(kept);
+
+}
+
+// drops every entry, for a painting that was opened
+function clearHistory() {
+
+  for (let entry of undoStack) {
+    forgetEntry(entry);
+  }
+
+  undoStack = [];
+  redoStack = [];
+  droppedRedo = [];
+
+}
+
+// an undo entry of a merge that is dropped can't put its merged layer back anymore, the
+// layer's buffer is let go. a redo entry's merged layer is still in the stack
+function forgetEntry(entry) {
+
+  if (entry.merged && !layers.includes(entry.merged.layer)) {
+    entry.merged.layer.buffer.remove();
+  }
+
+}
+
+// drops the oldest snapshots once the step count or the memory budget is exceeded. the budget
+// is for both stacks, the undo steps furthest back go first, then the redo steps furthest ahead
+function trimHistory() {
+
+  let bytes = 0;
+  for (let entry of undoStack.concat(redoStack)) {
+    bytes += entryBytes(entry);
+  }
+
+  while (undoStack.length > historySteps || (bytes > historyMemory && undoStack.length > 1)) {
+    let entry = undoStack.shift();
+    bytes -= entryBytes(entry);
+    forgetEntry(entry);
+  }
+
+  while (bytes > historyMemory && redoStack.length > 0) {
+    bytes -= entryBytes(redoStack.shift());
+  }
+
+}
+
+// ref for get(): https://p5js.org/reference/p5/get/
+function takeSnapshot(layer) {
+
+  return {
+    layer: layer,
+    snapshot: layer.buffer.get(),
+    strokes: layer.strokes.slice(),
+    wet: wetSnapshot(layer.buffer) // see wetpaint.js
+  };
+
+}
+
+// puts the snapshot pixels, strokes and wet paint back into its layer
+function restoreSnapshot(entry) {
+
+  let buffer = entry.layer.buffer;
+
+  buffer.clear();
+  buffer.image(entry.snapshot, 0, 0, buffer.width, buffer.height);
+
+  entry.layer.strokes = entry.strokes;
+  restoreWetPaint(buffer, entry.wet);
+
+}
+
+// memory used by a snapshot, 4 bytes (rgba) per pixel
+function snapshotBytes(snapshot) {
+
+  return snapshot.canvas.width * snapshot.canvas.height * 4;
+
+}
+
+// memory kept by an entry, the buffer of a merged layer that is out of the stack too
+function entryBytes(entry) {
+
+  let bytes = snapshotBytes(entry.snapshot);
+
+  if (entry.merged && !layers.includes(entry.merged.layer)) {
+    bytes += snapshotBytes(entry.merged.layer.buffer);
+  }
+
+  return bytes;
+
+}
@@ -0,0 +1,288 @@
+// layer stack for the drawing area
+// every layer is an off-screen buffer the size of the paper (in paper units). the tools draw into
+// the active layer and draw() composites the visible layers over the background art.
+// each layer also keeps the strokes drawn into it (see painting.js).
+// ref for createGraphics(): https://p5js.org/reference/p5/createGraphics/
+
+let layers = []; // layer stack, bottom layer first
+let activeLayer; // the layer the tools draw into
+let layerCount = 0; // used to number new layers
+let maxLayers = 6; // one row in the layer panel per layer
+
+// touchgui controls of the layer panel
+let layerRows = []; // one { select, eye } pair per row, top row = top layer
+let layerOpacity; // opacity slider for the active layer
+let layerMultiply; // toggle, the active layer is multiplied over the layers below
+let addLayerButton, deleteLayerButton, layerUpButton, layerDownButton, mergeLayerButton;
+
+// starts the stack with one empty layer
+function createLayers() {
+
+  layers = [];
+  activeLayer = addLayer();
+
+}
+
+// adds an empty layer above the active one and makes it active
+function addLayer() {
+
+  if (layers.length >= maxLayers) {
+    return activeLayer;
+  }
+
+  layerCount++;
+  let layer = newLayer("layer " + layerCount);
+
+  let index = layers.indexOf(activeLayer);
+  layers.splice(index + 1, 0, layer);
+  selectLayer(layer);
+
+  return layer;
+}
+
+// an empty layer that isn't in the stack yet
+function newLayer(name) {
+
+  let buffer = createGraphics(paperWidth, paperHeight);
+  buffer.pixelDensity(paperDensity);
+
+  return {
+    name: name,
+    buffer: buffer,
+    visible: true,
+    opacity: 1,
+    blend: "normal", // "normal" or "multiply", how it is drawn over the layers below
+    strokes: [] // stroke records, in the order they were drawn
+  };
+
+}
+
+// removes the active layer, there is always at least one layer left
+function deleteLayer() {
+
+  if (layers.length <= 1 || strokeInProgress) {
+    return;
+  }
+
+  let index = layers.indexOf(activeLayer);
+  layers.splice(index, 1);
+
+  forgetLayerHistory(activeLayer);
+  activeLayer.buffer.remove();
+
+  selectLayer(layers[max(index - 1, 0)]);
+
+}
+
+// moves the active layer up (+1) or down (-1) in the stack
+function moveLayer(direction) {
+
+  let index = layers.indexOf(activeLayer);
+  let target = index + direction;
+
+  if (target < 0 || target >= layers.length) {
+    return;
+  }
+
+  layers[index] = layers[target];
+  layers[target] = activeLayer;
+  updateLayerPanel();
+
+}
+
+// draws the active layer into the one below it, keeping its opacity and blend, and removes it
+function mergeDown() {
+
+  let index = layers.indexOf(activeLayer);
+
+  if (index === 0 || strokeInProgress) {
+    return;
+  }
+
+  let below = layers[index - 1];
+
+  // the merge changes the pixels of the layer below and can be undone like a stroke, the merged
+  // layer is kept in the entry to be put back
+  recordHistory(below, { layer: activeLayer, index: index });
+  keepHistory();
+
+  below.buffer.push();
+  below.buffer.tint(255, activeLayer.opacity * 255);
+  below.buffer.blendMode(layerBlend(activeLayer));
+  below.buffer.image(activeLayer.buffer, 0, 0, below.buffer.width, below.buffer.height);
+  below.buffer.pop();
+
+  // the merged strokes stay grouped so they can be drawn again with the same opacity and blend
+  below.strokes.push({
+    tool: "merge",
+    opacity: activeLayer.opacity,
+    blend: activeLayer.blend,
+    strokes: activeLayer.strokes
+  });
+
+  layers.splice(index, 1);
+
+  selectLayer(below);
+
+}
+
+// p5's blend mode for a layer or a merged layer, multiply lets a highlighter layer darken the
+// layers below like a highlighter on paper
+// ref for blendMode(): https://p5js.org/reference/p5/blendMode/
+function layerBlend(layer) {
+
+  return layer.blend === "multiply" ? MULTIPLY : BLEND;
+
+}
+
+function selectLayer(layer) {
+
+  activeLayer = layer;
+  updateLayerPanel();
+
+}
+
+// draws the visible layers onto the paper, bottom layer first
+function drawLayers() {
+
+  let paper = paperRect();
+
+  beginViewClip();
+  drawViewBackground();
+
+  push();
+  for (let layer of layers) {
+
+    // during a replay the layers show the replayed strokes
+    let buffer = replaying ? replayBuffer(layer) : layer.buffer;
+
+    if (layer.visible && buffer) {
+      tint(255, layer.opacity * 255);
+      blendMode(layerBlend(layer));
+      image(buffer, paper.x, paper.y, paper.w, paper.h);
+    }
+  }
+  pop();
+
+  endViewClip();
+
+}
+
+// layer panel on the right side of the screen
+function layerPanel() {
+
+  // rows are created once and shown or hidden as layers come and go
+  for (let i = 0; i < maxLayers; i++) {
+
+    let select = createToggle("", 0, 0);
+    select.setStyle(toggleStyle());
+
+    let eye = createCheckbox("Checkbox", 0, 0, 0, 0, true);
+    eye.setStyle({
+      fillBg: color("white"),
+      fillBgHover: color("#f2efeb"),
+      fillBgActive: color("#e6dfd9"),
+      strokeBg: color("#303830"),
+      fillCheck: color("#93b659"),
+      fillCheckHover: color("#93b659"),
+      fillCheckActive: color("#93b659")
+    });
+
+    let row = { select: select, eye: eye };
+
+    select.onPress = () => selectLayer(rowLayer(row));
+    eye.onPress = () => {
+      rowLayer(row).visible = eye.val;
+    };
+
+    layerRows.push(row);
+  }
+
+  // opacity of the active layer, 0 - 100 %
+  layerOpacity = createSlider("Opacity", 0, 0, 0, 0, 0, 100);
+  layerOpacity.setStyle(sliderStyle());
+  layerOpacity.onChange = () => {
+    activeLayer.opacity = layerOpacity.val / 100;
+  };
+
+  layerMultiply = createToggle("multiply", 0, 0);
+  layerMultiply.setStyle(toggleStyle());
+  layerMultiply.onPress = () => {
+    activeLayer.blend = layerMultiply.val ? "multiply" : "normal";
+  };
+
+  addLayerButton = createButton("add", 0, 0);
+  addLayerButton.onPress = addLayer;
+
+  deleteLayerButton = createButton("delete", 0, 0);
+  deleteLayerButton.onPress = deleteLayer;
+
+  layerUpButton = createButton("up", 0, 0);
+  layerUpButton.onPress = () => moveLayer(1);
+
+  layerDownButton = createButton("down", 0, 0);
+  layerDownButton.onPress = () => moveLayer(-1);
+
+  mergeLayerButton = createButton("merge down", 0, 0);
+  mergeLayerButton.onPress = mergeDown;
+
+  for (let button of [addLayerButton, deleteLayerButton, layerUpButton, layerDownButton, mergeLayerButton]) {
+    button.setStyle(buttonStyle());
+  }
+
+  updateLayerPanel();
+
+}
+
+function layoutLayerPanel() {
+
+  for (let i = 0; i < layerRows.length; i++) {
+    place(layerRows[i].select, 0.80, 0.15 + i * 0.06, 0.12, 0.05);
+    place(layerRows[i].eye, 0.93, 0.15 + i * 0.06, 0.04, 0.05);
+  }
+
+  place(layerOpacity, 0.80, 0.52, 0.105, 0.05);
+  place(layerMultiply, 0.91, 0.52, 0.06, 0.05);
+
+  place(addLayerButton, 0.80, 0.59, 0.08, 0.05);
+  place(deleteLayerButton, 0.89, 0.59, 0.08, 0.05);
+  place(layerUpButton, 0.80, 0.65, 0.08, 0.05);
+  place(layerDownButton, 0.89, 0.65, 0.08, 0.05);
+  place(mergeLayerButton, 0.80, 0.71, 0.17, 0.05);
+
+}
+
+// the layer shown in a panel row, the top row shows the top layer
+function rowLayer(row) {
+
+  return layers[layers.length - 1 - layerRows.indexOf(row)];
+
+}
+
+// syncs the panel rows, the opacity slider and the multiply toggle with the layer stack
+function updateLayerPanel() {
+
+  // the panel is created after the first layer
+  if (layerRows.length === 0) {
+    return;
+  }
+
+  for (let row of layerRows) {
+
+    let layer = rowLayer(row);
+    let used = layer !== undefined;
+
+    row.select.visible = used;
+    row.eye.visible = used;
+
+    if (used) {
+      row.select.label = layer.name;
+      row.select.val = (layer === activeLayer); // only the active layer's row stays on
+      row.eye.val = layer.visible;
+    }
+  }
+
+  layerOpacity.val = activeLayer.opacity * 100;
+  layerMultiply.val = activeLayer.blend === "multiply";
+
+}
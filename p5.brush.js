@@ -57,6 +57,17 @@
  * DEALINGS IN THE SOFTWARE.
  */
 
+/*
+ * LOCAL CHANGES - this copy of p5.brush 1.0 is patched for michellepaints, the layers it draws
+ * into are transparent. look for "local change" to find them:
+ * - Mix.blend() draws its shader with blendMode(REPLACE), the shader writes the whole pixel.
+ * - the Mix fragment shader reads the source texture as premultiplied alpha: on transparent
+ *   pixels the color mixes with nothing instead of black, the output keeps the paint's alpha
+ *   and pixels outside the mask are discarded instead of cleared.
+ * - Polygon.fill(), layer() and erase() draw with _r (the buffer p5.brush was loaded into)
+ *   instead of the global p5 functions that draw on the main canvas.
+ */
+
 (function (global, factory) {
     typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports) :
     typeof define === 'function' && define.amd ? define(['exports'], factory) :
@@ -398,6 +409,8 @@
             _r.push();
             // Use the blend shader for rendering
             _r.shader(this.shader);
+            // local change: the shader writes the final pixel (alpha included) and discards the rest, so it replaces instead of blending
+            _r.blendMode(REPLACE);
             _r.translate(-_trans()[0],-_trans()[1])
             // Set shader uniforms: color to add, source texture, and mask texture
             this.shader.setUniform('addColor', this.pigmentTypedArray);
@@ -416,6 +429,8 @@
         vert: `precision highp float;attribute vec3 aPosition;attribute vec2 aTexCoord;uniform mat4 uModelViewMatrix,uProjectionMatrix;varying vec2 vVertTexCoord;void main(){gl_Position=uProjectionMatrix*uModelViewMatrix*vec4(aPosition,1);vVertTexCoord=aTexCoord;}`,
         
         // Fragment shader source code with blending operations
+        // local change: the source texture comes in with premultiplied alpha: on transparent pixels the added color mixes
+        // with nothing (instead of black) and the output keeps the alpha of the paint
         frag: `
         precision highp float;varying vec2 vVertTexCoord;
         uniform sampler2D source;
@@ -433,13 +448,16 @@
                 float r2 = rand(vVertTexCoord, randParams2.x, randParams2.y, 43213.5453) * 2.0 - 1.0;
                 float r3 = rand(vVertTexCoord, randParams3.x, randParams3.y, 33358.5453) * 2.0 - 1.0;
                 vec4 canvasColor = texture2D(source, vVertTexCoord);
-                vec3 mixedColor = spectral_mix(canvasColor.rgb, addColor.rgb, maskColor.a * 0.8);
+                vec3 baseColor = canvasColor.a > 0.0 ? canvasColor.rgb / canvasColor.a : addColor.rgb;
+                float amount = maskColor.a * 0.8;
+                vec3 mixedColor = spectral_mix(baseColor, addColor.rgb, mix(1.0, amount, canvasColor.a));
                 if (maskColor.a > 0.8) {
                     mixedColor = spectral_mix(mixedColor, vec3(0.0), (maskColor.a - 0.8) / 0.6);
                 }
-                gl_FragColor = vec4(mixedColor + 0.02 * vec3(r1, r2, r3), 1.0);
+                float alpha = canvasColor.a + (1.0 - canvasColor.a) * amount;
+                gl_FragColor = vec4(clamp(mixedColor + 0.02 * vec3(r1, r2, r3), 0.0, 1.0) * alpha, alpha);
             } else {
-                gl_FragColor = vec4(0.0);
+                discard;
             }
         }
         `
@@ -2009,9 +2027,10 @@
             // Perform initial setup only once
             _trans();
             Mix.mask.begin();
-            push();
-            noStroke();
-            translate(_matrix[0], _matrix[1]);
+            // local change: draws with _r like the rest of the library, the global functions draw on the main canvas
+            _r.push();
+            _r.noStroke();
+            _r.translate(_matrix[0], _matrix[1]);
 
             let pol = this.grow()
             let pol2 = pol.grow().grow(0.5);
@@ -2034,7 +2053,7 @@
                 // Erase after each set of layers is drawn
                 pol.erase();
             }
-            pop();
+            _r.pop();
             Mix.mask.end();
             Mix.blend(color)
         }
@@ -2048,16 +2067,17 @@
          */
         layer (_nr,_alpha,bool = true) {
             // Set fill and stroke properties once
-            fill(255, 0, 0, _alpha);
+            // local change: _r instead of the global functions, here and in erase()
+            _r.fill(255, 0, 0, _alpha);
             if (bool) {
-                stroke(255, 0, 0, R.map(_nr, 0, 18, 3.5, 1));
-                strokeWeight(R.map(_nr, 0, 18, 3, 0.5));
+                _r.stroke(255, 0, 0, R.map(_nr, 0, 18, 3.5, 1));
+                _r.strokeWeight(R.map(_nr, 0, 18, 3, 0.5));
             } else {
-                noStroke();
+                _r.noStroke();
             }
-            beginShape();
-            for(let v of this.v) {vertex(v.x, v.y);}
-            endShape(CLOSE);
+            _r.beginShape();
+            for(let v of this.v) {_r.vertex(v.x, v.y);}
+            _r.endShape(CLOSE);
         }
 
         /**
@@ -2069,14 +2089,14 @@
             const halfSize = this.size / 2;
             const minSizeFactor = 0.030 * this.size;
             const maxSizeFactor = 0.20 * this.size;
-            erase(4);
+            _r.erase(4);
             for (let i = 0; i < numCircles; i++) {
                 const x = this.midP.x + randomGaussian(0, halfSize);
                 const y = this.midP.y + randomGaussian(0, halfSize);
                 const size = R.random(minSizeFactor, maxSizeFactor);
-                circle(x, y, size);
+                _r.circle(x, y, size);
             }
-            noErase();
+            _r.noErase();
         }
     }
 
@@ -0,0 +1,508 @@
+// painting document model
+// every stroke is kept as data on the layer it was drawn into: tool, color, size,
+// random seed and the timed input samples. the same stroke functions that draw live
+// draw the strokes again when a painting file is loaded.
+
+let paintingFormat = "michellepaints"; // marks our json files
+let paintingVersion = 7; // bumped when the file layout changes, 2 added the session events, 3 pressure and tilt, 4 eraser settings, 5 symmetry, 6 paint load, 7 layer blend
+
+let strokeInProgress = false; // true from the press on the paper until the mouse is released
+let currentStroke; // the stroke being drawn
+let currentState; // per-stroke state of the tool drawing it, see strokeState()
+
+let paintingInput; // hidden file input for opening painting files
+let savePaintingButton, openPaintingButton;
+let paintingMessage = ""; // shown under the buttons, why a file couldn't be opened or that it was
+let paintingMessageUntil = 0; // millis() when the message goes away
+
+// a press on the paper starts a stroke
+function beginStroke() {
+
+  // snapshot for undo, from before the stroke
+  recordHistory();
+
+  strokeInProgress = true;
+  currentStroke = {
+    tool: activeTool.name,
+    color: brushColor,
+    size: brushSize,
+    seed: floor(Math.random() * 1000000000), // the stroke's own randomness, replayed from here
+    pointer: pointer.type, // "mouse", "pen" or "touch"
+    start: round(sessionTime()), // ms into the session, see replay.js
+    symmetry: currentSymmetry(), // mirrored copies, see symmetry.js
+    samples: []
+  };
+  currentState = strokeState();
+  startStabilizer();
+  addRecentColor(brushColor);
+
+  activeLayer.strokes.push(currentStroke);
+
+}
+
+// adds this frame's mouse position to the stroke, smoothed by the stabilizer, and draws it
+function continueStroke() {
+
+  let p = stabilize(paperMouse());
+
+  addSample(p.x, p.y, round(sessionTime() - currentStroke.start));
+
+}
+
+// adds a sample at x, y (paper units), t ms after the stroke started, and draws it. with like
+// given the sample gets like's pressure and tilt instead of the pointer's
+function addSample(x, y, t, like) {
+
+  let samples = currentStroke.samples;
+
+  let sample = {
+    x: x,
+    y: y,
+    t: t
+  };
+  if (like) {
+    for (let value of ["pressure", "tiltX", "tiltY"]) {
+      if (like[value] !== undefined) {
+        sample[value] = like[value];
+      }
+    }
+  } else {
+    addPointerValues(sample, samples[samples.length - 1]); // pressure and tilt, see pointer.js
+  }
+
+  samples.push(sample);
+
+  drawSample(activeLayer.buffer, currentStroke, currentState, samples.length - 1);
+
+}
+
+function endStroke() {
+
+  if (!strokeInProgress) {
+    return;
+  }
+
+  // a stabilized brush catches up with the pointer, a frame apart for each sample. the pen is
+  // already lifted, the samples keep the pressure and tilt of the last one drawn
+  let samples = currentStroke.samples;
+  let last = samples[samples.length - 1];
+  for (let p of catchUp(paperMouse())) {
+    addSample(p.x, p.y, samples[samples.length - 1].t + 16, last);
+  }
+
+  strokeInProgress = false;
+  keepHistory();
+
+  finishStroke(activeLayer.buffer, currentStroke, currentState);
+
+}
+
+// takes back the stroke in progress as if it never happened, when a second finger turns it
+// into a pinch (see view.js)
+function cancelStroke() {
+
+  if (!strokeInProgress) {
+    return;
+  }
+
+  strokeInProgress = false;
+  discardHistory();
+  stopStrokeSound();
+
+}
+
+// draws sample i of a stroke with the stroke's tool
+function drawSample(g, stroke, state, i) {
+
+  let p = stroke.samples[i];
+  let pp = stroke.samples[max(i - 1, 0)]; // the first sample has no previous one
+
+  let tool = toolByName(stroke.tool);
+  let transforms = symmetryTransforms(stroke.symmetry);
+
+  // seeding per sample keeps any randomness the same when the stroke is drawn again
+  randomSeed(stroke.seed + i);
+  state.sample = i;
+  tool.stroke(g, stroke, p, pp, state);
+
+  // the mirrored copies, each with the same randomness
+  for (let k = 1; k < transforms.length; k++) {
+    let t = transforms[k];
+    let copyState = symmetryState(state, k);
+    randomSeed(stroke.seed + i);
+    copyState.sample = i;
+    let copy = symmetryStroke(stroke, k, t, tool);
+    tool.stroke(g, copy, mapSample(p, t, stroke.symmetry), mapSample(pp, t, stroke.symmetry), copyState);
+    keepCopyRegion(stroke, copy, k);
+  }
+
+}
+
+// lets a tool draw once more after the last sample of a stroke, a tool that only knows
+// what to draw once the stroke is done (like a lasso) has a finish function for that.
+// the strokes of the other tools than the paintbrush dry the wet paint they cover
+function finishStroke(g, stroke, state) {
+
+  let tool = toolByName(stroke.tool);
+  let transforms = symmetryTransforms(stroke.symmetry);
+
+  for (let k = 0; k < transforms.length; k++) {
+    let copy = k === 0 ? stroke : symmetryStroke(stroke, k, transforms[k], tool, true);
+
+    if (tool.finish) {
+      randomSeed(stroke.seed + stroke.samples.length);
+      tool.finish(g, copy, k === 0 ? state : symmetryState(state, k));
+    }
+    if (stroke.tool !== "paintbrush") {
+      dryPaint(g, copy, tool);
+    }
+  }
+
+}
+
+// draws a list of strokes into a buffer. samplesOf() can limit how much of each stroke
+// is drawn, the tool state each stroke ended with is left in states
+function renderStrokes(g, strokes, samplesOf = stroke => stroke.samples.length, states = new Map()) {
+
+  for (let stroke of strokes) {
+
+    // a merged layer: its strokes are drawn apart and blended in with the layer's opacity and blend
+    if (stroke.tool === "merge") {
+      let merged = createGraphics(g.width, g.height);
+      merged.pixelDensity(g.pixelDensity());
+      renderStrokes(merged, stroke.strokes, samplesOf, states);
+
+      g.push();
+      g.tint(255, stroke.opacity * 255);
+      g.blendMode(layerBlend(stroke));
+      g.image(merged, 0, 0, g.width, g.height);
+      g.pop();
+
+      merged.remove();
+      continue;
+    }
+
+    let state = strokeState();
+    states.set(stroke, state);
+
+    for (let i = 0; i < samplesOf(stroke); i++) {
+      drawSample(g, stroke, state, i);
+    }
+
+    if (samplesOf(stroke) === stroke.samples.length) {
+      finishStroke(g, stroke, state);
+    }
+  }
+
+}
+
+// scales stroke samples and sizes recorded on a paper of another size to this paper
+function scaleStrokes(strokes, scaleX, scaleY) {
+
+  for (let stroke of strokes) {
+    if (stroke.tool === "merge") {
+      scaleStrokes(stroke.strokes, scaleX, scaleY);
+      continue;
+    }
+
+    stroke.size *= (scaleX + scaleY) / 2;
+    for (let p of stroke.samples) {
+      p.x *= scaleX;
+      p.y *= scaleY;
+    }
+
+    // outline of a watercolor wash, corner of a shape
+    for (let v of stroke.polygon || []) {
+      v[0] *= scaleX;
+      v[1] *= scaleY;
+    }
+    if (stroke.corner) {
+      stroke.corner[0] *= scaleX;
+      stroke.corner[1] *= scaleY;
+    }
+    if (stroke.hatch) {
+      stroke.hatch.spacing *= (scaleX + scaleY) / 2;
+    }
+    if (stroke.symmetry) {
+      stroke.symmetry.x *= scaleX;
+      stroke.symmetry.y *= scaleY;
+    }
+  }
+
+}
+
+// the whole painting as a plain object, ready for JSON
+function paintingData() {
+
+  return {
+    format: paintingFormat,
+    version: paintingVersion,
+    paper: {
+      width: paperWidth,
+      height: paperHeight
+    },
+    layers: layers.map(layer => ({
+      name: layer.name,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      blend: layer.blend,
+      strokes: layer.strokes
+    })),
+    session: sessionEvents
+  };
+
+}
+
+// ref for saveJSON(): https://p5js.org/reference/p5/saveJSON/
+function savePainting() {
+
+  if (strokeInProgress) {
+    return;
+  }
+
+  saveJSON(paintingData(), "michellepaints.json");
+
+}
+
+// replaces the layer stack with the painting from a file and draws every stroke again
+function loadPainting(data) {
+
+  // the whole file is checked first, the painting on screen stays when it can't be opened
+  let problem = paintingProblem(data);
+  if (problem) {
+    showPaintingMessage("couldn't open the file: " + problem);
+    return;
+  }
+
+  // erasers used to paint white, they take the paint off fully with a hard edge now
+  if (data.version < 4) {
+    for (let layer of data.layers) {
+      eachStroke(layer.strokes, stroke => {
+        if (stroke.tool === "eraser") {
+          stroke.erase = { softness: 0, opacity: 1, onlyColor: false };
+        }
+      });
+    }
+  }
+
+  // the paintbrush used to have endless paint of one color
+  if (data.version < 6) {
+    for (let layer of data.layers) {
+      eachStroke(layer.strokes, stroke => {
+        if (stroke.tool === "paintbrush" && !stroke.paint) {
+          stroke.paint = { load: 1, color: stroke.color, endless: true };
+        }
+      });
+    }
+  }
+
+  // the painting is drawn into new layers first, the old ones stay until it is done
+  let loaded = [];
+  try {
+    for (let saved of data.layers) {
+      let layer = newLayer(saved.name);
+      layer.visible = saved.visible;
+      layer.opacity = saved.opacity;
+      layer.blend = saved.blend || "normal"; // layers before 7 were all drawn normal
+      layer.strokes = saved.strokes;
+      loaded.push(layer);
+
+      // files from a paper of another size are scaled to this one, not cut off
+      if (data.paper.width !== paperWidth || data.paper.height !== paperHeight) {
+        scaleStrokes(layer.strokes, paperWidth / data.paper.width, paperHeight / data.paper.height);
+      }
+
+      renderStrokes(layer.buffer, layer.strokes);
+    }
+  } catch (error) {
+    for (let layer of loaded) {
+      layer.buffer.remove();
+    }
+    showPaintingMessage("couldn't open the file: a stroke can't be drawn");
+    return;
+  }
+
+  // the old layers and their history are gone
+  clearHistory();
+  for (let layer of layers) {
+    layer.buffer.remove();
+  }
+  layers = loaded;
+  layerCount = loaded.length;
+  selectLayer(layers[layers.length - 1]);
+
+  // the session goes on from the file's, with the tool, color and size in use now
+  continueSession(data.session || []);
+  recordSessionEvent("tool", activeTool.name);
+  recordSessionEvent("color", brushColor);
+  recordSessionEvent("size", thickness.val);
+
+  showPaintingMessage("opened");
+
+}
+
+// what keeps a file from being opened, undefined when it can be
+function paintingProblem(data) {
+
+  if (!data || data.format !== paintingFormat || !Array.isArray(data.layers)) {
+    return "it is not a michellepaints file";
+  }
+
+  if (data.version > paintingVersion) {
+    return "it was saved by a newer version (" + data.version + ")";
+  }
+
+  if (!data.paper || !(data.paper.width > 0) || !(data.paper.height > 0)) {
+    return "the paper size is missing";
+  }
+
+  if (data.layers.length === 0) {
+    return "it has no layers";
+  }
+
+  // the layer panel has a row for each layer, a layer that doesn't fit would be lost
+  if (data.layers.length > maxLayers) {
+    return "it has " + data.layers.length + " layers, " + maxLayers + " fit";
+  }
+
+  for (let layer of data.layers) {
+    if (!layer || !Array.isArray(layer.strokes)) {
+      return "a layer has no strokes";
+    }
+    if (typeof layer.name !== "string" || typeof layer.visible !== "boolean" || !isOpacity(layer.opacity)) {
+      return "a layer has no name, visibility or opacity";
+    }
+    if (layer.blend !== undefined && layer.blend !== "normal" && layer.blend !== "multiply") {
+      return "a layer has an unknown blend \"" + layer.blend + "\"";
+    }
+    let strokeProblem = strokesProblem(layer.strokes);
+    if (strokeProblem) {
+      return strokeProblem;
+    }
+  }
+
+}
+
+// strokes from the file can only be drawn with tools this version knows, with the settings
+// every stroke has and samples with a place and a time. merged ones too
+function strokesProblem(strokes) {
+
+  for (let stroke of strokes) {
+    if (stroke && stroke.tool === "merge" && Array.isArray(stroke.strokes)) {
+      if (!isOpacity(stroke.opacity)) {
+        return "a merged layer has no opacity";
+      }
+      let problem = strokesProblem(stroke.strokes);
+      if (problem) {
+        return problem;
+      }
+    } else if (!stroke || !toolByName(stroke.tool)) {
+      return "unknown tool \"" + (stroke && stroke.tool) + "\"";
+    } else if (!Array.isArray(stroke.samples) || stroke.samples.length === 0) {
+      return "a stroke has no samples";
+    } else if (typeof stroke.color !== "string" || !(stroke.size > 0) || !Number.isFinite(stroke.seed)) {
+      return "a stroke has no color, size or seed";
+    } else if (stroke.start !== undefined && !Number.isFinite(stroke.start)) {
+      return "a stroke has no start time";
+    } else if (!stroke.samples.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.t))) {
+      return "a stroke has a sample without a place or time";
+    }
+  }
+
+}
+
+// an opacity from 0 to 1
+function isOpacity(value) {
+
+  return Number.isFinite(value) && value >= 0 && value <= 1;
+
+}
+
+// a message under the save and open buttons for a few seconds
+function showPaintingMessage(message) {
+
+  paintingMessage = message;
+  paintingMessageUntil = millis() + 5000;
+
+}
+
+function drawPaintingPanel() {
+
+  if (millis() > paintingMessageUntil) {
+    return;
+  }
+
+  push();
+  fill("#303830");
+  noStroke();
+  textSize(13);
+  textAlign(LEFT, TOP);
+  text(paintingMessage, windowWidth * 0.80, windowHeight * 0.105, windowWidth * 0.17, windowHeight * 0.045); // wraps in the gap over the layers
+  pop();
+
+}
+
+// reads the picked file as text, a file that isn't json can't be opened
+// ref for FileReader: https://developer.mozilla.org/en-US/docs/Web/API/FileReader
+function handlePaintingFile() {
+
+  let file = paintingInput.elt.files[0];
+
+  // lets the same file be opened again
+  paintingInput.elt.value = "";
+
+  if (!file) {
+    return;
+  }
+
+  let reader = new FileReader();
+  reader.onload = () => {
+    let data;
+    try {
+      data = JSON.parse(reader.result);
+    } catch (error) {
+      showPaintingMessage("couldn't open the file: it is not a michellepaints file");
+      return;
+    }
+    loadPainting(data);
+  };
+  reader.onerror = () => showPaintingMessage("couldn't open the file: it couldn't be read");
+  reader.readAsText(file);
+
+}
+
+function openPainting() {
+
+  if (strokeInProgress || replaying) {
+    return;
+  }
+
+  paintingInput.elt.click();
+
+}
+
+// save / open buttons above the layer panel
+function paintingPanel() {
+
+  // a plain file input, the file is read and parsed in handlePaintingFile()
+  paintingInput = createInput("", "file");
+  paintingInput.attribute("accept", ".json,application/json");
+  paintingInput.changed(handlePaintingFile);
+  paintingInput.hide();
+
+  savePaintingButton = createButton("save file", 0, 0);
+  savePaintingButton.setStyle(buttonStyle());
+  savePaintingButton.onPress = savePainting;
+
+  openPaintingButton = createButton("open file", 0, 0);
+  openPaintingButton.setStyle(buttonStyle());
+  openPaintingButton.onPress = openPainting;
+
+}
+
+function layoutPaintingPanel() {
+
+  place(savePaintingButton, 0.80, 0.05, 0.08, 0.05);
+  place(openPaintingButton, 0.89, 0.05, 0.08, 0.05);
+
+}
@@ -0,0 +1,310 @@
+// color picker, recent colors and saved swatches
+// a hue / saturation / value picker with a hex field in the column between the paper and the
+// swatch grid. under it the last colors painted with, and a button that saves the brush color
+// as a swatch in an extra row on top of the grid. the saved swatches are kept in the browser.
+// ref for HSV: https://en.wikipedia.org/wiki/HSL_and_HSV
+// ref for storeItem(): https://p5js.org/reference/p5/storeItem/
+
+let pickerHue = 0; // 0 - 360
+let pickerSat = 0; // 0 - 1
+let pickerVal = 0; // 0 - 1
+let pickerDrag; // "sv" or "hue" while the picker is dragged
+let pickerSquare; // saturation / value square for pickerSquareHue, drawn again when the hue changes
+let pickerSquareHue;
+let hexInput; // dom text field with the brush color
+let saveSwatchButton; // touchgui button, saves the brush color as a swatch
+
+let paletteSize; // number of fixed colors at the start of colorValues, the saved ones follow
+let customColors = []; // saved swatches, oldest first
+let maxCustomColors = 4; // one row of the grid
+let recentColors = []; // last colors painted with, newest first
+let maxRecentColors = 8;
+let recentButtons = []; // touchgui buttons of the recent colors
+
+// builds the picker, the recent colors and the saved swatches
+function paletteExtras() {
+
+  paletteSize = colorValues.length;
+
+  hexInput = createInput(brushColor);
+  hexInput.addClass("hex-input");
+  hexInput.attribute("maxlength", 7);
+  hexInput.changed(() => {
+    let value = hexInput.value().trim().replace("#", "").toLowerCase();
+    if (/^[0-9a-f]{6}$/.test(value)) {
+      setBrushColor("#" + value);
+    } else {
+      hexInput.value(brushColor); // not a color, the field goes back
+    }
+  });
+
+  saveSwatchButton = createButton("save color", 0, 0);
+  saveSwatchButton.setStyle(buttonStyle());
+  saveSwatchButton.onPress = () => saveCustomColor(brushColor);
+
+  for (let i = 0; i < maxRecentColors; i++) {
+    let button = createButton("", 0, 0);
+    button.onPress = () => setBrushColor(recentColors[i]);
+    recentButtons.push(button);
+  }
+
+  // saved swatches from an earlier visit, only hex colors, anything else in the storage is left out
+  let saved = getItem("customColors");
+  if (Array.isArray(saved)) {
+    customColors = saved.filter(c => typeof c === "string" && /^#[0-9a-f]{6}$/i.test(c)).slice(-maxCustomColors);
+  }
+  updateCustomSwatches();
+
+  showPickerColor(brushColor);
+
+}
+
+// the picker, the hex field and the recent colors in the column left of the swatch grid
+function layoutPaletteExtras() {
+
+  let picker = pickerRect();
+  let below = (picker.hueY + picker.hueH) / windowHeight + 0.015;
+
+  placeElement(hexInput, 0.47, below, 0.07, 0.035);
+  place(saveSwatchButton, 0.47, below + 0.045, 0.07, 0.04);
+
+  // recent colors, 4 in a row
+  for (let i = 0; i < recentButtons.length; i++) {
+    if (i < recentColors.length) {
+      place(recentButtons[i], 0.47 + (i % 4) * 0.0175, below + 0.1 + floor(i / 4) * 0.035, 0.015, 0.03);
+      recentButtons[i].visible = true;
+    } else {
+      hideControl(recentButtons[i]);
+    }
+  }
+
+}
+
+// where the saturation / value square and the hue bar are on screen
+function pickerRect() {
+
+  let size = windowWidth * 0.07;
+
+  return {
+    x: windowWidth * 0.47,
+    y: windowHeight * 0.15,
+    size: size,
+    hueY: windowHeight * 0.15 + size + 6,
+    hueH: 12
+  };
+
+}
+
+// draws the picker with marks on the picked saturation / value and hue
+function drawPicker() {
+
+  let picker = pickerRect();
+
+  // the square is drawn again for a new hue only, every pixel of it is a color
+  if (!pickerSquare || pickerSquareHue !== pickerHue) {
+    if (!pickerSquare) {
+      pickerSquare = createGraphics(64, 64);
+    }
+    pickerSquare.loadPixels();
+    let d = pickerSquare.pixelDensity();
+    let w = pickerSquare.width * d;
+    let h = pickerSquare.height * d;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let rgb = hsvToRgb(pickerHue, x / (w - 1), 1 - y / (h - 1));
+        let i = (y * w + x) * 4;
+        pickerSquare.pixels[i] = rgb[0];
+        pickerSquare.pixels[i + 1] = rgb[1];
+        pickerSquare.pixels[i + 2] = rgb[2];
+        pickerSquare.pixels[i + 3] = 255;
+      }
+    }
+    pickerSquare.updatePixels();
+    pickerSquareHue = pickerHue;
+  }
+
+  push();
+  image(pickerSquare, picker.x, picker.y, picker.size, picker.size);
+
+  // hue bar
+  noStroke();
+  for (let x = 0; x < picker.size; x++) {
+    fill(hsvToRgb(x / picker.size * 360, 1, 1));
+    rect(picker.x + x, picker.hueY, 1.5, picker.hueH);
+  }
+
+  noFill();
+  stroke("#303830");
+  strokeWeight(1);
+  rect(picker.x, picker.y, picker.size, picker.size);
+  rect(picker.x, picker.hueY, picker.size, picker.hueH);
+
+  // marks
+  strokeWeight(1.5);
+  stroke(pickerVal > 0.5 ? "#303830" : "white");
+  circle(picker.x + pickerSat * picker.size, picker.y + (1 - pickerVal) * picker.size, 8);
+  stroke("#303830");
+  rect(picker.x + pickerHue / 360 * picker.size - 2, picker.hueY - 2, 4, picker.hueH + 4);
+  pop();
+
+}
+
+// a press on the square or the hue bar starts dragging the picker
+function pressPicker() {
+
+  let picker = pickerRect();
+
+  if (mouseX < picker.x || mouseX > picker.x + picker.size) {
+    return;
+  }
+
+  if (mouseY >= picker.y && mouseY <= picker.y + picker.size) {
+    pickerDrag = "sv";
+  } else if (mouseY >= picker.hueY && mouseY <= picker.hueY + picker.hueH) {
+    pickerDrag = "hue";
+  }
+
+}
+
+// follows the mouse while the picker is dragged
+function updatePicker() {
+
+  if (!pickerDrag) {
+    return;
+  }
+
+  let picker = pickerRect();
+
+  if (pickerDrag === "sv") {
+    pickerSat = constrain((mouseX - picker.x) / picker.size, 0, 1);
+    pickerVal = 1 - constrain((mouseY - picker.y) / picker.size, 0, 1);
+  } else {
+    pickerHue = constrain((mouseX - picker.x) / picker.size, 0, 1) * 360;
+  }
+
+  hexInput.value(pickerColor());
+
+}
+
+// the brush gets the picked color when the picker is let go
+function releasePicker() {
+
+  if (!pickerDrag) {
+    return;
+  }
+
+  pickerDrag = undefined;
+
+  // setBrushColor() sets the picker from the rounded color again, the hue stays where it was
+  let hue = pickerHue;
+  setBrushColor(pickerColor());
+  pickerHue = hue;
+
+}
+
+// the picker's color as hex
+function pickerColor() {
+
+  let rgb = hsvToRgb(pickerHue, pickerSat, pickerVal);
+  return ("#" + hex(rgb[0], 2) + hex(rgb[1], 2) + hex(rgb[2], 2)).toLowerCase();
+
+}
+
+// sets the picker and the hex field to a color chosen somewhere else
+function showPickerColor(c) {
+
+  let col = color(c);
+  let r = red(col) / 255;
+  let g = green(col) / 255;
+  let b = blue(col) / 255;
+  let high = max(r, g, b);
+  let range = high - min(r, g, b);
+
+  // grays keep the hue the picker had
+  if (range > 0) {
+    let hue;
+    if (high === r) {
+      hue = ((g - b) / range) % 6;
+    } else if (high === g) {
+      hue = (b - r) / range + 2;
+    } else {
+      hue = (r - g) / range + 4;
+    }
+    pickerHue = (hue * 60 + 360) % 360;
+  }
+  pickerSat = high > 0 ? range / high : 0;
+  pickerVal = high;
+
+  hexInput.value(c.toLowerCase());
+
+}
+
+// hue 0 - 360, saturation and value 0 - 1 to [r, g, b] 0 - 255
+function hsvToRgb(h, s, v) {
+
+  let f = n => {
+    let k = (n + h / 60) % 6;
+    return round(255 * (v - v * s * max(0, min(k, 4 - k, 1))));
+  };
+
+  return [f(5), f(3), f(1)];
+
+}
+
+// a stroke was started with this color
+function addRecentColor(c) {
+
+  recentColors = [c, ...recentColors.filter(recent => recent !== c)].slice(0, maxRecentColors);
+
+  for (let i = 0; i < recentColors.length; i++) {
+    recentButtons[i].setStyle({
+      fillBg: color(recentColors[i]),
+      fillBgHover: color(recentColors[i]),
+      fillBgActive: color(recentColors[i]),
+      strokeBg: color("#303830"),
+      strokeBgHover: color("#303830"),
+      strokeBgActive: color("#303830"),
+      strokeWeight: 1,
+      rounding: 4
+    });
+  }
+
+  layoutPaletteExtras();
+
+}
+
+// keeps a color as a swatch, the oldest saved one makes room when the row is full
+function saveCustomColor(c) {
+
+  if (colorValues.some(value => value.toLowerCase() === c.toLowerCase())) {
+    return;
+  }
+
+  customColors.push(c);
+  customColors = customColors.slice(-maxCustomColors);
+  storeItem("customColors", customColors);
+
+  updateCustomSwatches();
+  setBrushColor(c); // checks the new swatch
+
+}
+
+// the saved swatches after the fixed ones, in colorValues and in the grid
+function updateCustomSwatches() {
+
+  colorValues.splice(paletteSize, colorValues.length - paletteSize, ...customColors);
+
+  while (swatches.length < colorValues.length) {
+    let checkbox = createCheckbox("Checkbox", 0, 0, 0, 0, false);
+    let swatchIndex = swatches.length;
+    checkbox.onPress = () => selectColor(swatchIndex);
+    swatches.push(checkbox);
+  }
+
+  for (let i = paletteSize; i < swatches.length; i++) {
+    styleSwatch(swatches[i], colorValues[i]);
+  }
+
+  layoutSwatches();
+
+}
@@ -0,0 +1,63 @@
+// pen pressure and tilt from Pointer Events
+// p5's mouseX / mouseY don't carry pressure or tilt, so the canvas also listens to the
+// pointer events and keeps the latest values. every stroke sample stores its pressure
+// (and tilt for pens), a mouse or finger gets a pressure simulated from its speed.
+// ref for Pointer Events: https://developer.mozilla.org/en-US/docs/Web/API/Pointer_events
+
+let pointer = {
+  type: "mouse", // "mouse", "pen" or "touch"
+  pressure: 0.5, // 0 - 1, 0.5 is what a mouse reports while pressed
+  tiltX: 0, // -90 - 90 degrees, leaning right is positive
+  tiltY: 0 // -90 - 90 degrees, leaning towards the user is positive
+};
+
+let pressureSmoothing = 0.3; // how fast the simulated pressure follows the speed (0 - 1)
+let pressureSpeed = 3; // paper units per ms at which the simulated pressure is lowest
+let minPressure = 0.35; // simulated pressure of a fast stroke
+
+// starts listening to the pointer on the canvas
+function listenToPointer(canvas) {
+
+  for (let type of ["pointerdown", "pointermove"]) {
+    canvas.elt.addEventListener(type, e => {
+      pointer.type = e.pointerType;
+      pointer.pressure = e.pressure;
+      pointer.tiltX = e.tiltX;
+      pointer.tiltY = e.tiltY;
+    });
+  }
+
+}
+
+// adds pressure and tilt to a new stroke sample, the previous sample is given for the speed
+function addPointerValues(sample, previous) {
+
+  if (pointer.type === "pen") {
+    sample.pressure = pointer.pressure;
+    sample.tiltX = pointer.tiltX;
+    sample.tiltY = pointer.tiltY;
+    return;
+  }
+
+  // mouse and touch: slow strokes press hard, fast strokes get light
+  if (!previous) {
+    sample.pressure = 1;
+    return;
+  }
+
+  let speed = dist(previous.x, previous.y, sample.x, sample.y) / max(sample.t - previous.t, 1);
+  let target = map(speed, 0, pressureSpeed, 1, minPressure, true);
+  sample.pressure = lerp(previous.pressure, target, pressureSmoothing);
+
+}
+
+// width factor for a sample's pressure, samples saved before pressure existed draw at full size
+function pressureScale(p) {
+
+  if (p.pressure === undefined) {
+    return 1;
+  }
+
+  return lerp(0.2, 1, p.pressure);
+
+}
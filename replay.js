@@ -0,0 +1,426 @@
+// time-lapse replay of the painting session
+// tool, color and size changes are logged with their session time, the pointer samples
+// are already timed in the strokes (see painting.js). the replay merges both into one
+// timeline and draws the strokes again, sample by sample, into its own copy of the layers.
+// every sample is drawn with the stroke's seed and its own tool state, so the replay
+// always looks exactly like the painting.
+
+let sessionEvents = []; // { t, type, value } for "tool", "color" and "size" changes, oldest first
+let sessionOffset = 0; // session time when the page was opened, past sessions of an opened file come before it
+
+let replaying = false; // true while the replay is shown instead of the layers
+let replayPaused = false;
+let replaySpeed = 1; // 1x, 2x, 4x or 8x
+let replayTime = 0; // ms into the replay
+let replayDuration = 0; // ms, length of the whole replay
+let replayMaxGap = 1000; // longer breaks between events are cut down to this (ms)
+let replayItems = []; // the timeline: session events and stroke samples, with their replay time rt
+let replayNext = 0; // index of the next timeline item to show
+let replaySheets = new Map(); // per layer: { buffer, strokes, top } as the layer was when the replay started
+let replayStrokes = new Map(); // per stroke: { sheet, order, grouped, drawn, state }
+let replaySaved; // tool, color, size and paint load from before the replay, put back when it ends
+let replayCursor; // the sample drawn last, while its stroke is still going
+
+// touchgui controls of the replay bar
+let replayToggle, replayPlayToggle, replayRestartButton, replayScrubber;
+let replaySpeedToggles = []; // one toggle per speed
+
+// ms since the session started, keeps counting after a painting file was opened
+function sessionTime() {
+
+  return millis() + sessionOffset;
+
+}
+
+// logs a tool, color or size change, only when it is a change
+function recordSessionEvent(type, value) {
+
+  // the replay itself switches tools and colors, that is not part of the session
+  if (replaying) {
+    return;
+  }
+
+  for (let i = sessionEvents.length - 1; i >= 0; i--) {
+    if (sessionEvents[i].type === type) {
+      if (sessionEvents[i].value === value) {
+        return;
+      }
+      break;
+    }
+  }
+
+  sessionEvents.push({
+    t: round(sessionTime()),
+    type: type,
+    value: value
+  });
+
+}
+
+// continues the session clock after the last event or stroke of an opened file
+function continueSession(events) {
+
+  let last = 0;
+
+  for (let event of events) {
+    last = max(last, event.t);
+  }
+
+  for (let layer of layers) {
+    eachStroke(layer.strokes, stroke => {
+      let samples = stroke.samples;
+      last = max(last, stroke.start + (samples.length > 0 ? samples[samples.length - 1].t : 0));
+    });
+  }
+
+  sessionEvents = events;
+  sessionOffset = last + replayMaxGap - millis();
+
+}
+
+// calls f for every stroke in a list, including the strokes of merged layers
+function eachStroke(strokes, f, grouped = false) {
+
+  for (let stroke of strokes) {
+    if (stroke.tool === "merge") {
+      eachStroke(stroke.strokes, f, true);
+    } else {
+      f(stroke, grouped);
+    }
+  }
+
+}
+
+function startReplay() {
+
+  if (replaying || strokeInProgress) {
+    return;
+  }
+
+  replaySaved = {
+    tool: activeTool.name,
+    color: brushColor,
+    size: thickness.val,
+    load: brushLoad, // the paint left on the paintbrush, picking the color again would refill it
+    paint: brushPaint
+  };
+  replaying = true;
+
+  // the timeline: every session event and every stroke sample at its session time
+  let items = [];
+
+  for (let event of sessionEvents) {
+    items.push({ t: event.t, event: event });
+  }
+
+  for (let layer of layers) {
+
+    let sheet = {
+      buffer: createGraphics(paperWidth, paperHeight),
+      strokes: layer.strokes.slice(), // edits during the replay don't change what it shows
+      top: -1 // order of the last stroke drawn into the buffer
+    };
+    sheet.buffer.pixelDensity(paperDensity);
+    replaySheets.set(layer, sheet);
+
+    // order is the position in which the strokes are drawn into the layer
+    let order = 0;
+    eachStroke(sheet.strokes, (stroke, grouped) => {
+      replayStrokes.set(stroke, { sheet: sheet, order: order++, grouped: grouped });
+
+      for (let i = 0; i < stroke.samples.length; i++) {
+        items.push({ t: stroke.start + stroke.samples[i].t, stroke: stroke, i: i });
+      }
+    });
+  }
+
+  // sort() keeps the samples of a stroke in order when they share a ms
+  items.sort((a, b) => a.t - b.t);
+
+  // breaks between events are cut short, it's a time-lapse
+  let rt = 0;
+  for (let i = 0; i < items.length; i++) {
+    if (i > 0) {
+      rt += min(items[i].t - items[i - 1].t, replayMaxGap);
+    }
+    items[i].rt = rt;
+  }
+
+  replayItems = items;
+  replayNext = 0;
+  replayTime = 0;
+  replayDuration = rt;
+  replayScrubber.max = max(replayDuration, 1);
+
+  restartReplay();
+
+}
+
+// back to the layers as they are now, with the tool, color and size from before the replay
+function stopReplay() {
+
+  if (!replaying) {
+    return;
+  }
+
+  for (let sheet of replaySheets.values()) {
+    sheet.buffer.remove();
+  }
+  replaySheets.clear();
+  replayStrokes.clear();
+  replayItems = [];
+
+  selectTool(replaySaved.tool);
+  setBrushColor(replaySaved.color);
+  thickness.val = replaySaved.size;
+  brushLoad = replaySaved.load;
+  brushPaint = replaySaved.paint;
+
+  replaying = false;
+  updateReplayPanel();
+
+}
+
+function restartReplay() {
+
+  replayPaused = false;
+  seekReplay(0);
+
+}
+
+// shows the replay at a time, going back means drawing it again from the start
+function seekReplay(time) {
+
+  time = constrain(time, 0, replayDuration);
+
+  if (time < replayTime || replayNext === 0) {
+    for (let sheet of replaySheets.values()) {
+      sheet.buffer.clear();
+      forgetWetPaint(sheet.buffer);
+      sheet.top = -1;
+    }
+    for (let info of replayStrokes.values()) {
+      info.drawn = 0;
+      info.state = undefined;
+    }
+    replayNext = 0;
+    replayCursor = undefined;
+  }
+
+  replayTime = time;
+  showReplayItems();
+  updateReplayPanel();
+
+}
+
+// advances the replay clock, called from draw()
+function updateReplay() {
+
+  if (!replaying || replayPaused) {
+    return;
+  }
+
+  replayTime += deltaTime * replaySpeed;
+
+  if (replayTime >= replayDuration) {
+    replayTime = replayDuration;
+    replayPaused = true;
+  }
+
+  showReplayItems();
+  updateReplayPanel();
+
+}
+
+// shows every timeline item up to the replay time
+function showReplayItems() {
+
+  let redraw = new Set(); // sheets that have to be drawn again from their strokes
+
+  while (replayNext < replayItems.length && replayItems[replayNext].rt <= replayTime) {
+
+    let item = replayItems[replayNext];
+    replayNext++;
+
+    if (item.event) {
+      showReplayEvent(item.event);
+      continue;
+    }
+
+    let info = replayStrokes.get(item.stroke);
+    info.drawn = item.i + 1;
+
+    let last = item.i === item.stroke.samples.length - 1;
+    replayCursor = last ? undefined : { stroke: item.stroke, p: item.stroke.samples[item.i] };
+
+    if (redraw.has(info.sheet)) {
+      continue;
+    }
+
+    // a stroke on top of everything drawn so far is simply continued, a stroke under
+    // others (drawn before a merge, or inside a merged layer) needs the sheet drawn again
+    if (!info.grouped && info.order >= info.sheet.top) {
+      if (!info.state) {
+        info.state = strokeState();
+      }
+      drawSample(info.sheet.buffer, item.stroke, info.state, item.i);
+      if (last) {
+        finishStroke(info.sheet.buffer, item.stroke, info.state);
+      }
+      info.sheet.top = info.order;
+    } else {
+      redraw.add(info.sheet);
+    }
+  }
+
+  for (let sheet of redraw) {
+    let states = new Map();
+
+    sheet.buffer.clear();
+    forgetWetPaint(sheet.buffer);
+    renderStrokes(sheet.buffer, sheet.strokes, stroke => replayStrokes.get(stroke).drawn, states);
+
+    // the strokes carry on from the states the sheet was drawn with
+    for (let [stroke, state] of states) {
+      let info = replayStrokes.get(stroke);
+      info.state = state;
+      if (info.drawn > 0) {
+        sheet.top = max(sheet.top, info.order);
+      }
+    }
+  }
+
+}
+
+// shows a logged change in the interface, like it happened during the session
+function showReplayEvent(event) {
+
+  if (event.type === "tool" && toolByName(event.value)) {
+    selectTool(event.value);
+  } else if (event.type === "color") {
+    setBrushColor(event.value);
+  } else if (event.type === "size") {
+    thickness.val = event.value;
+  }
+
+}
+
+// the buffer drawLayers() shows for a layer during the replay
+function replayBuffer(layer) {
+
+  let sheet = replaySheets.get(layer);
+  return sheet ? sheet.buffer : undefined;
+
+}
+
+// outline of the brush where the replayed stroke is
+function drawReplayCursor() {
+
+  if (!replaying || !replayCursor) {
+    return;
+  }
+
+  let paper = paperRect();
+
+  push();
+  noFill();
+  stroke("#303830");
+  strokeWeight(1.5);
+  circle(paper.x + replayCursor.p.x * paper.scale, paper.y + replayCursor.p.y * paper.scale, max(replayCursor.stroke.size * paper.scale, 6));
+  pop();
+
+}
+
+// replay bar above the paper
+function replayPanel() {
+
+  replayToggle = createToggle("replay", 0, 0);
+  replayToggle.setStyle(toggleStyle());
+  replayToggle.onPress = () => {
+    if (replayToggle.val) {
+      startReplay();
+    } else {
+      stopReplay();
+    }
+    replayToggle.val = replaying; // a replay can't start during a stroke
+  };
+
+  replayPlayToggle = createToggle("play", 0, 0);
+  replayPlayToggle.setStyle(toggleStyle());
+  replayPlayToggle.onPress = () => {
+    // play at the end starts over
+    if (replayPlayToggle.val && replayTime >= replayDuration) {
+      restartReplay();
+    } else {
+      replayPaused = !replayPlayToggle.val;
+    }
+    updateReplayPanel();
+  };
+
+  replayRestartButton = createButton("restart", 0, 0);
+  replayRestartButton.setStyle(buttonStyle());
+  replayRestartButton.onPress = restartReplay;
+
+  // speed: 1x / 2x / 4x / 8x, behave like radio buttons
+  let speeds = [1, 2, 4, 8];
+  for (let i = 0; i < speeds.length; i++) {
+    let toggle = createToggle(speeds[i] + "x", 0, 0, 0, 0, speeds[i] === replaySpeed);
+    toggle.setStyle(toggleStyle());
+    toggle.speed = speeds[i];
+    toggle.onPress = () => {
+      replaySpeed = speeds[i];
+      updateReplayPanel();
+    };
+    replaySpeedToggles.push(toggle);
+  }
+
+  // scrubbing through the replay, in ms
+  replayScrubber = createSlider("Replay", 0, 0, 0, 0, 0, 1);
+  replayScrubber.setStyle(sliderStyle());
+  replayScrubber.onChange = () => {
+    if (replayScrubber.isHeld) {
+      seekReplay(replayScrubber.val);
+    }
+  };
+
+  updateReplayPanel();
+
+}
+
+function layoutReplayPanel() {
+
+  place(replayToggle, 0.125, 0.045, 0.07, 0.045);
+  place(replayPlayToggle, 0.20, 0.045, 0.06, 0.045);
+  place(replayRestartButton, 0.265, 0.045, 0.065, 0.045);
+
+  for (let i = 0; i < replaySpeedToggles.length; i++) {
+    place(replaySpeedToggles[i], 0.335 + i * 0.032, 0.045, 0.029, 0.045);
+  }
+
+  place(replayScrubber, 0.125, 0.10, 0.335, 0.04);
+
+}
+
+// shows the replay controls while replaying and syncs them with the replay
+function updateReplayPanel() {
+
+  replayToggle.val = replaying;
+
+  replayPlayToggle.visible = replaying;
+  replayRestartButton.visible = replaying;
+  replayScrubber.visible = replaying;
+
+  replayPlayToggle.val = !replayPaused;
+  replayPlayToggle.label = replayPaused ? "play" : "pause";
+
+  for (let toggle of replaySpeedToggles) {
+    toggle.visible = replaying;
+    toggle.val = (toggle.speed === replaySpeed);
+  }
+
+  // the handle follows the replay unless it is being dragged
+  if (!replayScrubber.isHeld) {
+    replayScrubber.val = replayTime;
+  }
+
+}
@@ -0,0 +1,181 @@
+// shape tools
+// line, rectangle, ellipse and polygon. a shape is pressed at one end (the center of an ellipse
+// or polygon) and dragged to the other, a dashed rubber band follows the mouse and the shape is
+// drawn with a p5.brush brush on release, so it gets the brush's hand drawn texture. the corner
+// it was released at (after shift) is kept in the stroke with the brush, like a wash's outline.
+// ref for the p5.brush shapes: https://github.com/acamposuribe/p5.brush#geometry
+
+let shapeNames = ["line", "rectangle", "ellipse", "polygon"];
+let shapeBrush = "pen"; // p5.brush brush the shapes are drawn with
+let shapeBrushButton; // touchgui button, shows the shapes' brush and picks the next one
+let shapeFill; // touchgui toggle, fills rectangles, ellipses and polygons with a wash
+let shapeSides; // touchgui slider, corners of a polygon (3 - 12)
+let shapeBleed = 0.05; // bleed of a shape's fill, less than a wash so it stays in its outline
+
+// registers the shape tools, they share their options
+function setupShapes() {
+
+  shapeBrushButton = createButton(shapeBrush, 0, 0);
+  shapeBrushButton.setStyle(buttonStyle());
+  shapeBrushButton.onPress = () => {
+    shapeBrush = brushNames[(brushNames.indexOf(shapeBrush) + 1) % brushNames.length];
+    shapeBrushButton.label = shapeBrush;
+  };
+
+  shapeFill = createToggle("fill", 0, 0);
+  shapeFill.setStyle(toggleStyle());
+
+  shapeSides = createSlider("Sides", 0, 0, 0, 0, 3, 12);
+  shapeSides.setStyle(sliderStyle());
+  shapeSides.val = 5;
+
+  for (let name of shapeNames) {
+    let shape = addTool(name, toolButton(name), () => {}); // drawn by shapeFinish()
+    shape.finish = shapeFinish;
+    shape.outline = stroke => shapePoints(stroke.tool, stroke.samples[0], stroke.corner, stroke.sides); // for turned symmetry copies
+    shape.preview = shapePreview;
+
+    shape.options = [
+      { caption: "brush", w: 0.035 },
+      { control: shapeBrushButton, w: 0.07 }
+    ];
+    if (name !== "line") {
+      shape.options.push({ control: shapeFill, w: 0.05 });
+    }
+    if (name === "polygon") {
+      shape.options.push({ caption: "sides", w: 0.035 }, { control: shapeSides, w: 0.1 });
+    }
+  }
+
+}
+
+// where a shape dragged from a to b ends. constrained (shift) keeps squares, circles,
+// lines at steps of 45 degrees and polygons with a corner straight up
+function shapeCorner(name, a, b, constrained) {
+
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+
+  if (!constrained) {
+    return [b.x, b.y];
+  }
+
+  if (name === "line") {
+    let angle = round(atan2(dy, dx) / QUARTER_PI) * QUARTER_PI;
+    let length = mag(dx, dy);
+    return [a.x + cos(angle) * length, a.y + sin(angle) * length];
+  }
+
+  if (name === "polygon") {
+    return [a.x, a.y - mag(dx, dy)]; // first corner straight up
+  }
+
+  let side = max(abs(dx), abs(dy));
+  return [a.x + (dx < 0 ? -side : side), a.y + (dy < 0 ? -side : side)];
+
+}
+
+// corners of a shape from a to corner c, in paper units
+function shapePoints(name, a, c, sides) {
+
+  let rx = c[0] - a.x;
+  let ry = c[1] - a.y;
+
+  if (name === "line") {
+    return [[a.x, a.y], c];
+  }
+
+  if (name === "rectangle") {
+    return [[a.x, a.y], [c[0], a.y], c, [a.x, c[1]]];
+  }
+
+  let points = [];
+
+  if (name === "ellipse") {
+    for (let i = 0; i < 36; i++) {
+      let angle = TWO_PI * i / 36;
+      points.push([a.x + cos(angle) * abs(rx), a.y + sin(angle) * abs(ry)]);
+    }
+  } else {
+    let radius = mag(rx, ry);
+    let start = atan2(ry, rx);
+    for (let i = 0; i < sides; i++) {
+      let angle = start + TWO_PI * i / sides;
+      points.push([a.x + cos(angle) * radius, a.y + sin(angle) * radius]);
+    }
+  }
+
+  return points;
+
+}
+
+// draws the shape when the stroke is done
+function shapeFinish(g, stroke, state) {
+
+  let samples = stroke.samples;
+  let a = samples[0];
+
+  if (!stroke.corner) {
+    stroke.corner = shapeCorner(stroke.tool, a, samples[samples.length - 1], keyIsDown(SHIFT));
+    stroke.brush = shapeBrush;
+    stroke.filled = stroke.tool !== "line" && shapeFill.val;
+    stroke.sides = round(shapeSides.val);
+  }
+
+  let c = stroke.corner;
+
+  // a click without a drag draws nothing
+  if (dist(a.x, a.y, c[0], c[1]) < 1) {
+    return;
+  }
+
+  loadBrushBuffer(g, state);
+  drawWithBrush(g, () => {
+    brush.pick(stroke.brush);
+    brush.stroke(stroke.color);
+    brush.strokeWeight(stroke.size * brushWeightScale);
+    if (stroke.filled) {
+      brush.fill(stroke.color, watercolorOpacity);
+      brush.bleed(shapeBleed);
+    } else {
+      brush.noFill();
+    }
+
+    if (stroke.tool === "line") {
+      brush.line(a.x, a.y, c[0], c[1]);
+    } else if (stroke.outline) {
+      brush.polygon(stroke.outline); // a turned copy of a symmetry stroke
+    } else if (stroke.tool === "rectangle") {
+      brush.rect(min(a.x, c[0]), min(a.y, c[1]), abs(c[0] - a.x), abs(c[1] - a.y));
+    } else if (stroke.tool === "ellipse" && abs(c[0] - a.x) === abs(c[1] - a.y)) {
+      brush.circle(a.x, a.y, abs(c[0] - a.x), true); // true for a hand drawn, slightly open circle
+    } else {
+      brush.polygon(shapePoints(stroke.tool, a, c, stroke.sides));
+    }
+
+    brush.noFill();
+  });
+
+}
+
+// dashed outline of the shape while it is dragged
+function shapePreview(shape) {
+
+  let samples = shape.samples;
+  let a = samples[0];
+  let c = shapeCorner(shape.tool, a, samples[samples.length - 1], keyIsDown(SHIFT));
+  let paper = paperRect();
+
+  push();
+  noFill();
+  stroke(shape.color);
+  strokeWeight(1.5);
+  drawingContext.setLineDash([6, 4]);
+  beginShape();
+  for (let v of shapePoints(shape.tool, a, c, round(shapeSides.val))) {
+    vertex(paper.x + v[0] * paper.scale, paper.y + v[1] * paper.scale);
+  }
+  endShape(shape.tool === "line" ? OPEN : CLOSE);
+  pop();
+
+}
@@ -1,11 +1,10 @@
 // http://127.0.0.1:5500/index.html 
 // touchgui library: https://github.com/L05/p5.touchgui?tab=readme-ov-file 
 
-let canvasBg;
-let ambiance;
+let canvasBg; // background art, loaded from the start screen (start.js)
+let ambiance; // sounds, loaded from the start screen, undefined when they couldn't be loaded
 let music;
 let gui;
-let isDrawing = false;
 
 // array for all color value names
 let colorValues = [
@@ -31,76 +30,108 @@ let colorValues = [
   "#c8bee9" // light purple
 ]
 
-// variables for paintStroke()
+// variables for paintStroke(), the per-stroke physics values live in strokeState()
 
-let f = false; // mouse interaction flag
 let spring = 0.4; // spring constant for velocity response
 let friction = 0.45; // friction for damping velocity
-let v = 0.5; // base velocity magnitude
-let r = 0; // radius for brush effect
-let vx = 0; // x value of velocity
-let vy = 0; // y value of velocity
 let splitNum = 100; // number of iterations for creating splitting brush effect
 let diff = 8; // random offset for splitting effect variations
-let x = 0; // current x value
-let y = 0; // current y value
 
-let brushColor = "pink"; // global brush color
+// variables for highlightStroke(): the ink of a stroke is stamped opaque into its own buffer and
+// multiplied over the layer as it was when the stroke started (see strokeink.js), so the stroke
+// doesn't get darker where it crosses itself, but a second stroke over it does. on a layer of its
+// own set to "multiply" in the layer panel it darkens the layers below too
+let highlighterOpacity = 0.45; // how strong the ink is over the paper
+let nibAngle = -35; // angle of the chisel in degrees, it stays the same like a nib held in the hand
+
+let brushColor = "#feb0cd"; // global brush color, starts on the pink swatch
+let swatches = []; // touchgui checkboxes of the color palette
 let pencil, highlighter, paintbrush, eraserBrush; // variables for utensil images
+let tools = []; // every tool registered in the tool switcher
+let toolButtons = []; // dom buttons of the tools without a utensil image, see toolButton()
+let activeTool; // the tool that currently receives input in draw()
+let undoButton, redoButton; // touchgui buttons for the history
 let thickness; // variable for thickness slider
 let brushSize; // brush size
 
+// the paper is a fixed size document, fitted into the drawing area of the window.
+// strokes and layers use these paper units, so resizing the window only changes the view
+let paperWidth = 640;
+let paperHeight = 480;
+let paperDensity = 2; // pixel density of the layer buffers, keeps the paper sharp on big screens
 
-function preload() {
-
-  ambiance = loadSound('museumamb.mp3');
-  music = loadSound('gallerymusic.mp3');
-
-  //reference for amp: https://p5js.org/reference/p5.SoundFile/amp/
-  ambiance.amp(0.50);
-  music.amp(0.30);
-
-}
 
 function setup() {
 
-  createCanvas(windowWidth * 0.999, windowHeight);
+  let canvas = createCanvas(windowWidth * 0.999, windowHeight);
+  listenToPointer(canvas); // pen pressure and tilt
   gui = createGui();
   colorOptions();
+  paletteExtras(); // picker, recent colors and saved swatches
 
-  // loads background image
-  canvasBg = loadImage('finalbg.png', img => {
-    image(img, 0, 0, width, height);
-  });
+  // layer stack for the drawing area
+  createLayers();
+  layerPanel();
+
+  // png / jpeg / webp export of the paper
+  exportPanel();
+
+  // save and open the painting as a json file
+  paintingPanel();
+
+  // time-lapse replay of the session
+  replayPanel();
 
-  // Set up music and ambiance
-  ambiance.loop();
-  music.loop();
+  // volumes of the music and ambiance, they start playing from the start screen
+  audioPanel();
+
+  // zoom presets, see view.js for the wheel, keys and gestures
+  viewPanel();
+
+  // mirror and kaleidoscope drawing
+  symmetryPanel();
+
+  // smoother strokes, see stabilizer.js
+  stabilizerPanel();
 
   // ref for turning images into buttons: https://editor.p5js.org/emmajaneculhane/sketches/WKwR76epN 
 
-  // pencil
   pencil = createImg('pencil.png', 'pencil');
-  pencil.position(windowWidth * (0.07 + 0.04), windowHeight * 0.67);
-  pencil.size(windowWidth * 0.10, windowHeight * 0.24);
-
-  // highlighter
   highlighter = createImg('highlighter.png', 'highlighter');
-  highlighter.position(windowWidth * (0.15 + 0.04), windowHeight * 0.67);
-  highlighter.size(windowWidth * 0.09, windowHeight * 0.25);
-
-  // paintbrush
   paintbrush = createImg('paintbrush.png', 'paintbrush');
-  paintbrush.position(windowWidth * (0.23 + 0.04), windowHeight * 0.67);
-  paintbrush.size(windowWidth * 0.09, windowHeight * 0.25);
-
-  // eraser
   eraserBrush = createImg('eraser.png', 'eraser');
-  eraserBrush.position(windowWidth * (0.31 + 0.04), windowHeight * 0.71);
-  eraserBrush.size(windowWidth * 0.10, windowHeight * 0.20);
+
+  // tool switcher: clicking a utensil image makes it the active tool
+  addTool("pencil", pencil, pencilStroke);
+  addTool("highlighter", highlighter, highlightStroke);
+  addTool("paintbrush", paintbrush, paintStroke).finish = paintFinish; // leaves wet paint, see wetpaint.js
+  setupEraser(); // the eraser has options, see eraser.js
+
+  // textured p5.brush brushes, one button each
+  setupBrushes();
+
+  // paint bucket
+  setupBucket();
+
+  // watercolor wash, lasso or click into a shape
+  setupWatercolor();
+
+  // line, rectangle, ellipse and polygon
+  setupShapes();
+
+  // hatch lines in a lasso or a clicked shape
+  setupHatching();
+
+  // flow lines following a vector field
+  setupFlow();
+
+  // picks colors from the painting
+  setupEyedropper();
+
+  selectTool("highlighter");
 
   // reference for slider: https://github.com/L05/p5.touchgui/blob/master/docs/GuiSlider.md
-  thickness = createSlider("Slider", windowWidth * 0.55, windowHeight * 0.75, windowWidth * 0.19, windowHeight * 0.08, 10, 100);
+  thickness = createSlider("Slider", 0, 0, 0, 0, 10, 100);
   thickness.setStyle({
     fillBg: color("white"),
     strokeBg: color("#303830"),
@@ -118,36 +149,566 @@ function setup() {
     strokeBgActive: color("#303830"),
   });
 
+  // undo and redo buttons under the slider
+  undoButton = createButton("undo", 0, 0);
+  undoButton.setStyle(buttonStyle());
+  undoButton.onPress = undo;
+
+  redoButton = createButton("redo", 0, 0);
+  redoButton.setStyle(buttonStyle());
+  redoButton.onPress = redo;
+
+  // the session log starts with the tool, color and size the app opens with
+  thickness.onChange = () => recordSessionEvent("size", thickness.val);
+  recordSessionEvent("color", brushColor);
+  recordSessionEvent("size", thickness.val);
+
+  layout();
+
+  // loads the background art and the sounds after a press on start
+  startScreen();
 
 }
 
-function draw() {
+// positions and sizes of the whole interface, as fractions of the window
+function layout() {
 
-  drawGui();
+  // pencil
+  placeElement(pencil, 0.07 + 0.04, 0.67, 0.10, 0.24);
+
+  // highlighter
+  placeElement(highlighter, 0.15 + 0.04, 0.67, 0.09, 0.25);
+
+  // paintbrush
+  placeElement(paintbrush, 0.23 + 0.04, 0.67, 0.09, 0.25);
+
+  // eraser
+  placeElement(eraserBrush, 0.31 + 0.04, 0.71, 0.10, 0.20);
+
+  layoutBrushButtons();
+  layoutToolButtons();
+  layoutToolOptions();
+
+  layoutSwatches();
+  layoutPaletteExtras();
+
+  place(thickness, 0.55, 0.75, 0.19, 0.08);
+  place(undoButton, 0.55, 0.86, 0.09, 0.06);
+  place(redoButton, 0.65, 0.86, 0.09, 0.06);
+
+  layoutLayerPanel();
+  layoutExportPanel();
+  layoutPaintingPanel();
+  layoutReplayPanel();
+  layoutAudioPanel();
+  layoutViewPanel();
+  layoutSymmetryPanel();
+  layoutStabilizerPanel();
+
+}
+
+// re-layout the interface when the browser is resized or the tablet rotated.
+// the layers keep their paper size, so the strokes are only shown at a new scale
+function windowResized() {
+
+  resizeCanvas(windowWidth * 0.999, windowHeight);
+  layout();
+
+}
+
+// places a touchgui object, position and size as fractions of the window
+function place(obj, x, y, w, h) {
+
+  obj.x = windowWidth * x;
+  obj.y = windowHeight * y;
+  obj.w = windowWidth * w;
+  obj.h = windowHeight * h;
+
+}
+
+// hides a touchgui control and moves it off the canvas: touchgui's hit test stops at the
+// topmost control under the pointer even when it is hidden
+function hideControl(control) {
+
+  control.visible = false;
+  control.x = -windowWidth;
+
+}
+
+// places a dom element, position and size as fractions of the window
+function placeElement(elt, x, y, w, h) {
+
+  elt.position(windowWidth * x, windowHeight * y);
+  elt.size(windowWidth * w, windowHeight * h);
+
+}
+
+function draw() {
 
   // sets the brushSize equal to the value of the thickness slider (10 - 100)
   brushSize = thickness.val;
 
-  // pencilStroke();
-  // pencil.mousePressed(pencilStroke);
+  // a press on the paper starts a new stroke, saved as one history entry (not during a replay),
+  // picks a color with the eyedropper or moves the symmetry center
+  // space-drag and two finger gestures move the view instead, see view.js
+  updateView();
+
+  if (mouseIsPressed && overPaper() && !strokeInProgress && !picking && !panning && !movingCenter && !replaying) {
+    if (symmetryCenterToggle.val) {
+      beginCenterMove();
+    } else if (eyedropperActive()) {
+      beginPick();
+    } else {
+      beginStroke();
+    }
+  }
+
+  // every frame of the stroke adds a sample, the active tool draws it into the active layer
+  if (strokeInProgress) {
+    continueStroke();
+    updateStrokeSound(currentStroke, currentState);
+  }
+
+  updateReplay();
+  updatePicker();
+  updateSymmetryCenter();
 
-  highlightStroke();
-  //highlighter.mousePressed(highlightStroke);
+  // background art, then the layers on the paper, then the gui on top
+  clear();
+  if (canvasBg && canvasBg.width > 1) {
+    image(canvasBg, 0, 0, width, height);
+  }
+  drawLayers();
+  updateEyedropper(); // reads the layers before anything is drawn over them
+  updateViewCursor();
+  beginViewClip();
+  drawReplayCursor();
+  drawToolPreview();
+  drawSymmetryGuides();
+  drawTether();
+  endViewClip();
+  drawToolOptions();
+  drawAudioPanel();
+  drawViewPanel();
+  drawPaintingPanel();
+  drawPicker();
+  drawGui();
+  drawLoupe();
 
-  // paintStroke();
-  //paintbrush.mousePressed(paintStroke);
+}
 
-  // eraser();
-  //eraserBrush.mousePressed(eraser);
+// presses on the color picker, the paper is handled in draw()
+function mousePressed() {
+
+  pressPicker();
 
 }
 
-// color options displayed in a 5 x 4 array
-function colorOptions() {
+// the stroke (or the pick, or the picker drag) ends when the mouse is released, wherever that happens
+function mouseReleased() {
 
+  if (picking) {
+    endPick();
+  }
 
-  // sizing down the checkboxes
-  let perfectSq = windowWidth * 0.032;
+  releasePicker();
+  endCenterMove();
+
+  endStroke();
+  stopStrokeSound();
+
+}
+
+// the wheel zooms the paper, the page itself doesn't scroll then
+function mouseWheel(event) {
+
+  if (wheelZoom(event)) {
+    return false;
+  }
+
+}
+
+// keyboard shortcuts: ctrl/cmd + z to undo, ctrl/cmd + shift + z or ctrl/cmd + y to redo,
+// ctrl/cmd + s to export an image, ctrl/cmd + shift + s to save the painting file,
+// ctrl/cmd + o to open a painting file, alt (held) picks a color with the eyedropper,
+// + / - zoom, 0 fits the paper, 1 shows it at 100%, space (held) drags the view
+function keyPressed() {
+
+  // 91 and 93 are the left and right command keys on a mac
+  let command = keyIsDown(CONTROL) || keyIsDown(91) || keyIsDown(93);
+
+  if (command && (key === "z" || key === "Z")) {
+    if (keyIsDown(SHIFT)) {
+      redo();
+    } else {
+      undo();
+    }
+    return false; // prevent the browser's own undo
+  }
+
+  if (command && (key === "y" || key === "Y")) {
+    redo();
+    return false;
+  }
+
+  if (command && (key === "s" || key === "S")) {
+    if (keyIsDown(SHIFT)) {
+      savePainting();
+    } else {
+      exportPainting();
+    }
+    return false; // prevent the browser's save page dialog
+  }
+
+  if (command && (key === "o" || key === "O")) {
+    openPainting();
+    return false;
+  }
+
+  // zoom keys and space for panning, see view.js
+  if (!command && viewKey()) {
+    return false;
+  }
+
+  if (keyCode === ALT) {
+    return false; // keeps the browser's menu bar from taking the focus
+  }
+
+}
+
+// the part of the window the paper is shown in
+function drawingArea() {
+
+  return {
+    x: windowWidth * 0.125,
+    y: windowHeight * 0.155,
+    w: windowWidth * 0.335,
+    h: windowHeight * 0.455
+  };
+
+}
+
+// where the paper sits on screen when it is fitted into the drawing area (white paper) of the
+// window, keeping its proportions. scale is screen pixels per paper unit
+function fittedPaperRect() {
+
+  let area = drawingArea();
+
+  let scale = min(area.w / paperWidth, area.h / paperHeight);
+  let w = paperWidth * scale;
+  let h = paperHeight * scale;
+
+  return {
+    x: area.x + (area.w - w) / 2,
+    y: area.y + (area.h - h) / 2,
+    w: w,
+    h: h,
+    scale: scale
+  };
+
+}
+
+// where the paper sits on screen with the zoom and pan of the view, see view.js
+function paperRect() {
+
+  let area = drawingArea();
+
+  let scale = fittedPaperRect().scale * viewZoom;
+  let w = paperWidth * scale;
+  let h = paperHeight * scale;
+
+  return {
+    x: area.x + (area.w - w) / 2 + viewPanX,
+    y: area.y + (area.h - h) / 2 + viewPanY,
+    w: w,
+    h: h,
+    scale: scale
+  };
+
+}
+
+// checks if the mouse is within the drawing area
+function overArea() {
+
+  let area = drawingArea();
+
+  return mouseX >= area.x &&
+    mouseX <= area.x + area.w &&
+    mouseY >= area.y &&
+    mouseY <= area.y + area.h;
+
+}
+
+// checks if the mouse is within the white canvas, and on the part of it that is shown
+function overPaper() {
+
+  let paper = paperRect();
+
+  return overArea() &&
+    mouseX >= paper.x &&
+    mouseX <= paper.x + paper.w &&
+    mouseY >= paper.y &&
+    mouseY <= paper.y + paper.h;
+
+}
+
+// checks if a stroke sample (paper units) is within the white canvas
+function insidePaper(p) {
+
+  return p.x >= 0 &&
+    p.x <= paperWidth &&
+    p.y >= 0 &&
+    p.y <= paperHeight;
+
+}
+
+// converts a screen position to paper units
+function screenToPaper(sx, sy) {
+
+  let paper = paperRect();
+
+  return {
+    x: (sx - paper.x) / paper.scale,
+    y: (sy - paper.y) / paper.scale
+  };
+
+}
+
+// mouse position in paper units, for drawing into the layer buffers
+function paperMouse() {
+
+  let m = screenToPaper(mouseX, mouseY);
+  let pm = screenToPaper(pmouseX, pmouseY);
+
+  return {
+    x: m.x,
+    y: m.y,
+    px: pm.x,
+    py: pm.y
+  };
+
+}
+
+// shared style for the touchgui buttons, matching the thickness slider
+function buttonStyle() {
+
+  return {
+    fillBg: color("white"),
+    strokeBg: color("#303830"),
+    fillLabel: color("#303830"),
+    rounding: 10,
+    fillBgHover: color("#f2efeb"),
+    strokeBgHover: color("#303830"),
+    fillLabelHover: color("#303830"),
+    fillBgActive: color("#e6dfd9"),
+    strokeBgActive: color("#303830"),
+    fillLabelActive: color("#303830")
+  };
+
+}
+
+// shared style for the touchgui sliders, matching the thickness slider
+function sliderStyle() {
+
+  return {
+    fillBg: color("white"),
+    strokeBg: color("#303830"),
+    fillHandle: color("#dbe8a2"),
+    fillTrack: color("#93b659"),
+    rounding: 10,
+    trackWidth: 1
+  };
+
+}
+
+// shared style for the touchgui toggles, "on" uses the slider's green
+function toggleStyle() {
+
+  return {
+    rounding: 10,
+    textSize: 14,
+    fillBgOff: color("white"),
+    fillBgOffHover: color("#f2efeb"),
+    fillBgOffActive: color("#e6dfd9"),
+    fillBgOn: color("#dbe8a2"),
+    fillBgOnHover: color("#e4eec3"),
+    fillBgOnActive: color("#e4eec3"),
+    strokeBgOff: color("#303830"),
+    strokeBgOffHover: color("#303830"),
+    strokeBgOffActive: color("#303830"),
+    strokeBgOn: color("#303830"),
+    strokeBgOnHover: color("#303830"),
+    strokeBgOnActive: color("#303830"),
+    fillLabelOff: color("#303830"),
+    fillLabelOffHover: color("#303830"),
+    fillLabelOffActive: color("#303830"),
+    fillLabelOn: color("#303830"),
+    fillLabelOnHover: color("#303830"),
+    fillLabelOnActive: color("#303830")
+  };
+
+}
+
+// registers a tool in the switcher: name, utensil image (or button) and the stroke function it runs.
+// a stroke function draws one sample p (coming from the previous sample pp) into buffer g
+// (a tool can also have tool.finish, run after the last sample, and tool.overlay / tool.preview, see drawToolPreview())
+function addTool(name, button, strokeFunction) {
+
+  let tool = {
+    name: name,
+    button: button,
+    stroke: strokeFunction
+  };
+
+  tools.push(tool);
+
+  // ref for mousePressed on elements: https://p5js.org/reference/p5.Element/mousePressed/
+  button.mousePressed(() => selectTool(name));
+
+  return tool;
+}
+
+// makes the named tool active and highlights its image
+function selectTool(name) {
+
+  for (let tool of tools) {
+    if (tool.name === name) {
+      activeTool = tool;
+      tool.button.addClass("active-tool");
+    } else {
+      tool.button.removeClass("active-tool");
+    }
+  }
+
+  layoutToolOptions();
+  recordSessionEvent("tool", name);
+
+}
+
+// a dom button for a tool without a utensil image, placed in the tool column by layoutToolButtons()
+// ref for createElement(): https://p5js.org/reference/p5/createElement/ (createButton() belongs to touchgui here)
+function toolButton(label) {
+
+  let button = createElement("button", label);
+  button.addClass("tool-button");
+  toolButtons.push(button);
+
+  return button;
+}
+
+// the tool buttons in a column left of the paper
+function layoutToolButtons() {
+
+  for (let i = 0; i < toolButtons.length; i++) {
+    placeElement(toolButtons[i], 0.065, 0.155 + i * 0.042, 0.055, 0.036);
+  }
+
+}
+
+// the options of the active tool in a row under the paper. a tool lists its options in
+// tool.options, each one a touchgui control or a caption, with its width:
+// { control, w } or { caption, w }. tools can share a control (the shape tools do)
+function layoutToolOptions() {
+
+  // the options of the other tools are hidden
+  for (let tool of tools) {
+    for (let option of tool.options || []) {
+      if (option.control) {
+        hideControl(option.control);
+      }
+    }
+  }
+
+  let x = 0.125;
+
+  for (let option of activeTool.options || []) {
+    option.x = x;
+    x += option.w + 0.005;
+
+    if (option.control) {
+      place(option.control, option.x, 0.615, option.w, 0.045);
+      option.control.visible = true;
+    }
+  }
+
+}
+
+// captions of the active tool's options
+function drawToolOptions() {
+
+  push();
+  fill("#303830");
+  noStroke();
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  for (let option of activeTool.options || []) {
+    if (option.caption) {
+      text(option.caption, windowWidth * option.x, windowHeight * (0.615 + 0.045 / 2));
+    }
+  }
+  pop();
+
+}
+
+// what the active tool shows on the paper: tool.overlay all the time (a flow field, ...)
+// and tool.preview while a stroke is drawn (a lasso, ...)
+function drawToolPreview() {
+
+  if (activeTool.overlay) {
+    activeTool.overlay();
+  }
+
+  if (strokeInProgress && activeTool.preview) {
+    activeTool.preview(currentStroke);
+  }
+
+}
+
+// looks up a registered tool by name
+function toolByName(name) {
+
+  return tools.find(tool => tool.name === name);
+
+}
+
+// fresh per-stroke state for the stroke functions, every stroke starts with its own
+function strokeState() {
+
+  return {
+    // highlighter
+    isDrawing: false,
+    lastX: 0,
+    lastY: 0,
+
+    // paintbrush
+    f: false, // mouse interaction flag
+    v: 0.5, // base velocity magnitude
+    r: 0, // radius for brush effect
+    vx: 0, // x value of velocity
+    vy: 0, // y value of velocity
+    x: 0, // current x value
+    y: 0, // current y value
+
+    load: undefined, // paint left on the brush (0 - 1), see wetpaint.js
+    paint: undefined, // color of that paint
+    bristles: undefined, // offsets across the brush and the load they go dry at
+
+    // textured brushes
+    from: undefined, // where the next brush line starts, until the stroke is on the paper
+
+    // bucket
+    filled: false, // the bucket fills once per stroke
+
+    // flow
+    travel: 0, // paper units dragged since the last flow line
+
+    sample: 0 // index of the sample being drawn, set by drawSample()
+  };
+
+}
+
+// color options displayed in a 5 x 4 array
+function colorOptions() {
 
   let index = 0; // index tracking for the color name array
 
@@ -156,34 +717,25 @@ function colorOptions() {
   for (let i = 0; i < 5; i++) {
     for (let j = 0; j < 4; j++) {
 
-      let xPos = windowWidth * (0.55 + j * 0.05); // horizontal position for 4 columns
-      let yPos = windowHeight * (0.15 + i * 0.1); // vertical position for 5 rows
-
-      rect(xPos, yPos, perfectSq, perfectSq);
-
-      // touch gui checkbox: xpos, ypos, width, height
+      // touch gui checkbox: xpos, ypos, width, height, checked (placed in layoutSwatches())
       let checkbox = createCheckbox(
         "Checkbox",
-        xPos,
-        yPos,
-        perfectSq,
-        perfectSq
+        0,
+        0,
+        0,
+        0,
+        colorValues[index] === brushColor
       );
 
       // styling of the checkboxes
       if (index < colorValues.length) {
-        checkbox.setStyle({
 
-          fillBg: color(colorValues[index]), // assign color from colorValues
-          strokeBg: color("white"),
+        styleSwatch(checkbox, colorValues[index]);
 
-          fillBgHover: color(colorValues[index]),
-          fillBgActive: color(colorValues[index]),
-
-          fillCheck: color("#364034"),
-          fillCheckHover: color("#364034"),
-          fillCheckActive: color("#364034")
-        });
+        // reference for onPress: https://github.com/L05/p5.touchgui/blob/master/docs/GuiObject.md
+        let swatchIndex = index;
+        checkbox.onPress = () => selectColor(swatchIndex);
+        swatches.push(checkbox);
 
         index++;
 
@@ -193,37 +745,81 @@ function colorOptions() {
   }
 }
 
-// eraser brush
-function eraser() {
+// colors a swatch checkbox, also used for the saved swatches (see palette.js)
+function styleSwatch(checkbox, value) {
+
+  // light check mark on the dark swatches so the active one stays visible
+  let checkColor = brightness(color(value)) < 50 ? color("white") : color("#364034");
+
+  checkbox.setStyle({
+
+    fillBg: color(value), // assign color from colorValues
+    strokeBg: color("white"),
+
+    fillBgHover: color(value),
+    fillBgActive: color(value),
+
+    fillCheck: checkColor,
+    fillCheckHover: checkColor,
+    fillCheckActive: checkColor
+  });
+
+}
+
+// places the swatches in the 5 x 4 grid, with the saved swatches in a row above it
+function layoutSwatches() {
+
+  // sizing down the checkboxes
+  let perfectSq = windowWidth * 0.032;
+
+  for (let index = 0; index < swatches.length; index++) {
+
+    let i = floor(index / 4); // row
+    if (i === 5) {
+      i = -1; // the saved swatches, above the grid as the tool options run under it
+    }
+    let j = index % 4; // column
+
+    swatches[index].x = windowWidth * (0.55 + j * 0.05); // horizontal position for 4 columns
+    swatches[index].y = windowHeight * (0.15 + i * 0.1); // vertical position for the rows
+    swatches[index].w = perfectSq;
+    swatches[index].h = perfectSq;
+  }
+
+}
+
+// sets the brush color from a swatch
+function selectColor(index) {
+
+  setBrushColor(colorValues[index]);
+
+}
 
-  // if statement checks if mouse is being pressed within the white canvas
+// sets the brush color and unchecks the other swatches so they act like radio buttons
+function setBrushColor(c) {
 
-  if (mouseIsPressed &&
-    mouseX >= windowWidth * 0.125 &&
-    mouseX <= windowWidth * 0.125 + windowWidth * 0.335 &&
-    mouseY >= windowHeight * 0.155 &&
-    mouseY <= windowHeight * 0.155 + windowHeight * 0.455
-  ) {
-    stroke("white");
-    strokeWeight(brushSize);
-    line(mouseX, mouseY, pmouseX, pmouseY);
+  brushColor = c;
+
+  for (let i = 0; i < swatches.length; i++) {
+    // pressing the active swatch again would uncheck it, so it is always set back to checked
+    swatches[i].val = (colorValues[i].toLowerCase() === c.toLowerCase());
   }
 
+  showPickerColor(c); // the picker follows the swatches and the eyedropper
+  reloadBrush(c); // the paintbrush is dipped into the new color
+  recordSessionEvent("color", c);
+
 }
 
 // pencil stroke
-function pencilStroke() {
+function pencilStroke(g, stroke, p, pp, state) {
 
-  if (mouseIsPressed &&
-    mouseX >= windowWidth * 0.125 &&
-    mouseX <= windowWidth * 0.125 + windowWidth * 0.335 &&
-    mouseY >= windowHeight * 0.155 &&
-    mouseY <= windowHeight * 0.155 + windowHeight * 0.455
-  ) {
+  if (insidePaper(p)) {
 
-    strokeWeight(brushSize);
-    stroke(brushColor);
-    line(mouseX, mouseY, pmouseX, pmouseY);
+    // pressing harder draws a wider line
+    g.strokeWeight(stroke.size * pressureScale(p));
+    g.stroke(stroke.color);
+    g.line(p.x, p.y, pp.x, pp.y);
 
   }
 
@@ -235,31 +831,33 @@ function pencilStroke() {
 // ceil() docu: https://p5js.org/reference/p5/ceil/
 
 // hightlight stroke
-function highlightStroke() {
+function highlightStroke(g, stroke, p, pp, state) {
 
+  // the mirrored copies of a symmetry stroke lay their ink into the same buffer
+  let ink = strokeInk(g, state);
 
-  if (mouseIsPressed &&
-    mouseX >= windowWidth * 0.125 &&
-    mouseX <= windowWidth * 0.125 + windowWidth * 0.335 &&
-    mouseY >= windowHeight * 0.155 &&
-    mouseY <= windowHeight * 0.155 + windowHeight * 0.455
-  ) {
-
+  if (insidePaper(p)) {
 
     // initialize the brush
 
-    if (!isDrawing) {
-      isDrawing = true;
-      lastX = mouseX;
-      lastY = mouseY;
+    if (!state.isDrawing) {
+      state.isDrawing = true;
+      state.lastX = p.x;
+      state.lastY = p.y;
     }
 
-    push();
+    ink.push();
+
+    ink.noStroke();
+    ink.fill(stroke.color);
+    ink.rectMode(CENTER);
 
-    stroke(brushColor);
-    fill(brushColor);
+    // the chisel keeps its angle, a tilted pen lays it flatter, wider
+    let tiltX = p.tiltX || 0;
+    let tiltY = p.tiltY || 0;
+    let chiselWidth = stroke.size * 0.75 * (1 + 0.5 * min(dist(0, 0, tiltX, tiltY), 90) / 90);
 
-    let distance = dist(lastX, lastY, mouseX, mouseY);
+    let distance = dist(state.lastX, state.lastY, p.x, p.y);
     // calculate the distance between the last mouse position and the current mouse position
 
     let steps = ceil(distance / 2);
@@ -270,90 +868,105 @@ function highlightStroke() {
 
       let transition = i / steps; // calculate the transition factor for smooth movement over each step
 
-      let interlopX = lerp(lastX, mouseX, transition); // interpolate the lastX to mouseX based on the transition factor.
-      let interlopY = lerp(lastY, mouseY, transition); // interpolate the lastY to mouseY based on the transition factor.
+      let interlopX = lerp(state.lastX, p.x, transition); // interpolate the lastX to mouseX based on the transition factor.
+      let interlopY = lerp(state.lastY, p.y, transition); // interpolate the lastY to mouseY based on the transition factor.
 
-      rect(interlopX, interlopY, (brushSize * 0.75), (brushSize * 0.25)); // draw a rectangle as the highlighter shape
+      // draw a rectangle as the highlighter shape
+      ink.push();
+      ink.translate(interlopX, interlopY);
+      ink.rotate(radians(nibAngle));
+      ink.rect(0, 0, chiselWidth, (stroke.size * 0.25));
+      ink.pop();
     }
 
-    pop();
+    ink.pop();
+
+    // the layer as it was, with the ink multiplied over it, around the part just drawn
+    showInk(g, inkBox([[state.lastX, state.lastY], [p.x, p.y]], chiselWidth + 1), "multiply", highlighterOpacity);
 
     // updates the brush tracking position with previous mouse X and Y 
-    lastX = pmouseX;
-    lastY = pmouseY;
+    state.lastX = pp.x;
+    state.lastY = pp.y;
 
   } else {
-    // when mouse is released
-    isDrawing = false;
+    // when the stroke leaves the paper
+    state.isDrawing = false;
   }
 
 }
 
-
 // followed this tutorial: https://www.gorillasun.de/blog/simulating-brush-strokes-with-hookes-law-in-p5js-and-processing/
 
 // paintbrush stroke
-function paintStroke() {
+function paintStroke(g, stroke, p, pp, state) {
 
-  if (mouseIsPressed &&
-    mouseX >= windowWidth * 0.125 &&
-    mouseX <= windowWidth * 0.125 + windowWidth * 0.335 &&
-    mouseY >= windowHeight * 0.155 &&
-    mouseY <= windowHeight * 0.155 + windowHeight * 0.455
-  ) {
+  // the mirrored copies of a symmetry stroke lay their paint into the same buffer
+  let ink = strokeInk(g, state);
 
+  if (insidePaper(p)) {
 
-    if (mouseIsPressed) {
-      if (!f) {
-        f = true;
-        x = mouseX; // initialize the starting points
-        y = mouseY;
-      }
+    if (!state.f) {
+      state.f = true;
+      state.x = p.x; // initialize the starting points
+      state.y = p.y;
+    }
+
+    // the paint on the brush runs out and picks up wet paint, see wetpaint.js
+    loadState(stroke, state);
+    usePaint(g, stroke, state, p, pp);
+
+    // physics values of this stroke, written back at the end
+    let { x, y, vx, vy, v, r } = state;
+
+    // simulate velocity with spring physics and friction
+    vx += (pp.x - x) * spring;
+    vy += (pp.y - y) * spring;
+    vx *= friction;
+    vy *= friction;
+
+    // calculate velocity magnitude for brush dynamics
+    v += sqrt(vx * vx + vy * vy) - v;
+    v *= 0.6;
+
+    let oldR = r;
+    r = (stroke.size * pressureScale(p)) - v; // update dynamic radius based on pen pressure and velocity changes
 
-      // simulate velocity with spring physics and friction
-      vx += (pmouseX - x) * spring;
-      vy += (pmouseY - y) * spring;
-      vx *= friction;
-      vy *= friction;
-
-      // calculate velocity magnitude for brush dynamics
-      v += sqrt(vx * vx + vy * vy) - v;
-      v *= 0.6;
-
-      let oldR = r;
-      r = (brushSize) - v; // update dynamic radius based on velocity changes
-
-      for (let i = 0; i < splitNum; ++i) {
-        let oldX = x;
-        let oldY = y;
-
-        // interpolate motion to smooth out the brush effect
-        x += vx / splitNum;
-        y += vy / splitNum;
-
-        // smoothly transition radius over iterations
-        oldR += (r - oldR) / splitNum;
-        if (oldR < 1) {
-          oldR = 1; // Clamp minimum radius value
-        }
-
-        // wet stroke weight for splitting brush effect
-        strokeWeight(oldR + diff);
-        line(x, y, oldX, oldY);
-
-        // additional offsets for randomized brush effects
-        strokeWeight(oldR);
-        line(x + diff * 1.5, y + diff * 2, oldX + diff * 2, oldY + diff * 2);
-        line(x - diff, y - diff, oldX - diff, oldY - diff);
-        stroke(brushColor)
+    // the sample is painted on its own first, then laid into the stroke with the paint that is left
+    let from = { x: x, y: y };
+    let box = startDab(from, { x: x + vx, y: y + vy }, max(oldR, r, 1));
+    paintDab.push();
+
+    // set the color before the first line so the whole sample uses the paint on the brush
+    paintDab.stroke(state.paint);
+
+    for (let i = 0; i < splitNum; ++i) {
+      let oldX = x;
+      let oldY = y;
+
+      // interpolate motion to smooth out the brush effect
+      x += vx / splitNum;
+      y += vy / splitNum;
+
+      // smoothly transition radius over iterations
+      oldR += (r - oldR) / splitNum;
+      if (oldR < 1) {
+        oldR = 1; // Clamp minimum radius value
       }
-    } else if (f) {
-      // reset velocity and flags on mouse release
-      vx = 0;
-      vy = 0;
-      v = 0;
-      f = false;
+
+      // wet stroke weight for splitting brush effect
+      paintDab.strokeWeight(oldR + diff);
+      paintDab.line(x, y, oldX, oldY);
+
+      // additional offsets for randomized brush effects
+      paintDab.strokeWeight(oldR);
+      paintDab.line(x + diff * 1.5, y + diff * 2, oldX + diff * 2, oldY + diff * 2);
+      paintDab.line(x - diff, y - diff, oldX - diff, oldY - diff);
     }
 
+    paintDab.pop();
+    layPaint(g, ink, state, from, { x: x, y: y }, oldR, box);
+
+    Object.assign(state, { x, y, vx, vy, v, r });
+
   }
 }
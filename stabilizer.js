@@ -0,0 +1,145 @@
+// stroke stabilizer
+// smooths the pointer before it becomes a stroke sample, for every tool. "average" puts each
+// sample at the mean of the last few pointer positions, "lazy" pulls the brush behind the
+// pointer on a string: it only moves once the pointer is further away than the radius. the
+// samples keep the smoothed positions, so a saved or replayed stroke looks the same. on release
+// the brush catches up with the pointer, the stroke ends where it was let go.
+// ref for the lazy brush: https://lazybrush.dulnan.net/
+
+let stabilizerModes = ["off", "average", "lazy"];
+let stabilizerMode = "off";
+let stabilizerButton; // touchgui button, shows the mode and picks the next one
+let stabilizerStrength; // touchgui slider (1 - 10), samples averaged / length of the string
+
+let stabilizerPoints = []; // last pointer positions of the stroke, in paper units
+let stabilizerBrush; // where the brush is, in paper units
+let catchUpStep = 4; // paper units between the samples added on release
+
+// stabilizer controls under the undo and redo buttons
+function stabilizerPanel() {
+
+  stabilizerButton = createButton("", 0, 0);
+  stabilizerButton.setStyle(buttonStyle());
+  stabilizerButton.onPress = () => {
+    stabilizerMode = stabilizerModes[(stabilizerModes.indexOf(stabilizerMode) + 1) % stabilizerModes.length];
+    stabilizerButton.label = "steady: " + stabilizerMode;
+  };
+  stabilizerButton.label = "steady: " + stabilizerMode;
+
+  stabilizerStrength = createSlider("Strength", 0, 0, 0, 0, 1, 10);
+  stabilizerStrength.setStyle(sliderStyle());
+  stabilizerStrength.val = 4;
+
+}
+
+function layoutStabilizerPanel() {
+
+  place(stabilizerButton, 0.55, 0.935, 0.09, 0.045);
+  place(stabilizerStrength, 0.65, 0.935, 0.09, 0.045);
+
+}
+
+// number of pointer positions averaged
+function averageWindow() {
+
+  return round(stabilizerStrength.val) * 2;
+
+}
+
+// length of the lazy brush's string in paper units
+function lazyRadius() {
+
+  return stabilizerStrength.val * 6;
+
+}
+
+// a new stroke starts with the brush on the pointer
+function startStabilizer() {
+
+  stabilizerPoints = [];
+  stabilizerBrush = undefined;
+
+}
+
+// where the next sample goes for the pointer at m (paper units)
+function stabilize(m) {
+
+  if (!stabilizerBrush || stabilizerMode === "off") {
+    stabilizerPoints = [m];
+    stabilizerBrush = { x: m.x, y: m.y };
+    return stabilizerBrush;
+  }
+
+  if (stabilizerMode === "average") {
+    stabilizerPoints.push(m);
+    stabilizerPoints = stabilizerPoints.slice(-averageWindow());
+
+    let x = 0;
+    let y = 0;
+    for (let point of stabilizerPoints) {
+      x += point.x;
+      y += point.y;
+    }
+    stabilizerBrush = { x: x / stabilizerPoints.length, y: y / stabilizerPoints.length };
+  } else {
+    // the string gets taut and drags the brush along
+    let d = dist(stabilizerBrush.x, stabilizerBrush.y, m.x, m.y);
+    let radius = lazyRadius();
+    if (d > radius) {
+      let pull = (d - radius) / d;
+      stabilizerBrush = {
+        x: lerp(stabilizerBrush.x, m.x, pull),
+        y: lerp(stabilizerBrush.y, m.y, pull)
+      };
+    }
+  }
+
+  return stabilizerBrush;
+
+}
+
+// the points from the brush to the pointer at m, added to the stroke on release
+function catchUp(m) {
+
+  if (!stabilizerBrush || stabilizerMode === "off") {
+    return [];
+  }
+
+  let from = stabilizerBrush;
+  let steps = min(ceil(dist(from.x, from.y, m.x, m.y) / catchUpStep), 30);
+  let points = [];
+  for (let i = 1; i <= steps; i++) {
+    points.push({ x: lerp(from.x, m.x, i / steps), y: lerp(from.y, m.y, i / steps) });
+  }
+
+  stabilizerBrush = undefined;
+
+  return points;
+
+}
+
+// the string from the brush to the pointer while a stroke is drawn, with the lazy brush's
+// radius around the pointer
+function drawTether() {
+
+  if (!strokeInProgress || !stabilizerBrush || stabilizerMode === "off") {
+    return;
+  }
+
+  let paper = paperRect();
+  let bx = paper.x + stabilizerBrush.x * paper.scale;
+  let by = paper.y + stabilizerBrush.y * paper.scale;
+
+  push();
+  stroke(48, 56, 48, 160);
+  strokeWeight(1);
+  noFill();
+  line(bx, by, mouseX, mouseY);
+  circle(bx, by, 6);
+  if (stabilizerMode === "lazy") {
+    drawingContext.setLineDash([3, 3]);
+    circle(mouseX, mouseY, lazyRadius() * paper.scale * 2);
+  }
+  pop();
+
+}
@@ -0,0 +1,140 @@
+// start screen
+// browsers only let audio start after a gesture, so the sounds (and the background art) are
+// loaded once the start button is pressed, with a progress bar for each file. a file that
+// can't be loaded is left out and the app starts without it.
+// ref for autoplay: https://developer.mozilla.org/en-US/docs/Web/Media/Autoplay_guide
+
+let started = false; // true once the start screen is gone
+let startOverlay; // dom overlay over the whole app
+let startButton;
+
+// the files loaded after the start, each with a row on the start screen
+let startAssets = [
+  { label: "gallery", file: "finalbg.png" },
+  { label: "ambiance", file: "museumamb.mp3" },
+  { label: "music", file: "gallerymusic.mp3" }
+];
+
+// the start screen, shown until the assets are loaded
+function startScreen() {
+
+  startOverlay = createDiv();
+  startOverlay.addClass("start-overlay");
+
+  // the app under the overlay gets no input: touchgui and p5 listen on the document and window
+  for (let type of ["mousedown", "mouseup", "touchstart", "touchend", "pointerdown", "pointerup", "wheel"]) {
+    startOverlay.elt.addEventListener(type, e => e.stopPropagation());
+  }
+
+  // keys go to the window and not to the overlay, they are held back before p5 sees them until
+  // the app has started (shortcuts, zoom keys, alt for the eyedropper)
+  for (let type of ["keydown", "keyup"]) {
+    window.addEventListener(type, e => {
+      if (!started) {
+        e.stopPropagation();
+      }
+    }, true);
+  }
+
+  let panel = createDiv();
+  panel.addClass("start-panel");
+  panel.parent(startOverlay);
+
+  createElement("h1", "michellepaints").parent(panel);
+  createP("a painting table in the gallery, with music and the sounds of the museum.").parent(panel);
+
+  for (let asset of startAssets) {
+    let row = createDiv();
+    row.addClass("start-asset");
+    row.parent(panel);
+
+    createSpan(asset.label).parent(row);
+    asset.bar = createElement("progress");
+    asset.bar.attribute("max", 1);
+    asset.bar.attribute("value", 0);
+    asset.bar.parent(row);
+    asset.status = createSpan("");
+    asset.status.parent(row);
+  }
+
+  startButton = createElement("button", "start");
+  startButton.addClass("tool-button");
+  startButton.parent(panel);
+  startButton.mousePressed(loadStartAssets);
+
+}
+
+// the gesture: audio may start now, the files are loaded
+function loadStartAssets() {
+
+  startButton.attribute("disabled", "");
+  startButton.html("loading...");
+
+  // ref for userStartAudio(): https://p5js.org/reference/p5.sound/userStartAudio/
+  userStartAudio();
+
+  let [background, ambianceAsset, musicAsset] = startAssets;
+
+  // images don't report their progress, the bar waits without a value until it is done
+  background.bar.removeAttribute("value");
+  canvasBg = loadImage(background.file, () => assetLoaded(background), () => assetFailed(background));
+
+  ambiance = undefined;
+  music = undefined;
+  loadSound(ambianceAsset.file, sound => {
+    ambiance = sound;
+    assetLoaded(ambianceAsset);
+  }, () => assetFailed(ambianceAsset), progress => assetProgress(ambianceAsset, progress));
+  loadSound(musicAsset.file, sound => {
+    music = sound;
+    assetLoaded(musicAsset);
+  }, () => assetFailed(musicAsset), progress => assetProgress(musicAsset, progress));
+
+}
+
+function assetProgress(asset, progress) {
+
+  asset.bar.attribute("value", progress);
+
+}
+
+function assetLoaded(asset) {
+
+  asset.done = true;
+  asset.bar.attribute("value", 1);
+  finishStart();
+
+}
+
+function assetFailed(asset) {
+
+  asset.done = true;
+  asset.failed = true;
+  asset.bar.attribute("value", 0);
+  asset.status.html("couldn't be loaded, skipped");
+  finishStart();
+
+}
+
+// once every file is loaded or skipped the sounds start and the start screen goes away.
+// a skipped file is shown for a moment first
+function finishStart() {
+
+  if (started || !startAssets.every(asset => asset.done)) {
+    return;
+  }
+
+  started = true;
+
+  if (ambiance) {
+    ambiance.loop();
+  }
+  if (music) {
+    music.loop();
+  }
+  applyAudio(); // the volumes from the audio panel
+
+  let failed = startAssets.some(asset => asset.failed);
+  setTimeout(() => startOverlay.remove(), failed ? 1500 : 0);
+
+}
@@ -0,0 +1,97 @@
+// stroke ink
+// the highlighter, the eraser and the paintbrush don't build up where a stroke goes over itself:
+// the stroke is drawn into an ink buffer of its own (a mask for the eraser), and each sample
+// draws the layer again as it was when the stroke started, with the ink over it. only the box
+// the sample changed is drawn again, not the whole paper.
+// ref for drawImage(): https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/drawImage
+
+let inkOriginal; // the layer when the stroke started
+let inkBuffer; // the stroke's ink
+let inkState; // tool state of the stroke these buffers belong to
+let inkPixels; // pixels of inkOriginal, read the first time a stroke asks for one
+
+// the ink of the stroke with tool state state, drawing into g. a new stroke keeps the layer as
+// it is and starts with no ink, the mirrored copies of a symmetry stroke share their stroke's ink
+function strokeInk(g, state) {
+
+  state = state.main || state;
+
+  if (!inkBuffer) {
+    inkOriginal = createGraphics(paperWidth, paperHeight);
+    inkOriginal.pixelDensity(paperDensity);
+    inkBuffer = createGraphics(paperWidth, paperHeight);
+    inkBuffer.pixelDensity(paperDensity);
+  }
+
+  if (inkState !== state) {
+    inkState = state;
+    inkOriginal.clear();
+    inkOriginal.image(g, 0, 0, paperWidth, paperHeight);
+    inkBuffer.clear();
+    inkPixels = undefined;
+  }
+
+  return inkBuffer;
+
+}
+
+// the box around the points [x, y] (paper units) and reach further out, on whole paper units
+// and cut to the paper
+function inkBox(points, reach) {
+
+  let xs = points.map(v => v[0]);
+  let ys = points.map(v => v[1]);
+  let x0 = max(floor(min(xs) - reach), 0);
+  let y0 = max(floor(min(ys) - reach), 0);
+  let x1 = min(ceil(max(xs) + reach), paperWidth);
+  let y1 = min(ceil(max(ys) + reach), paperHeight);
+
+  return { x: x0, y: y0, w: max(x1 - x0, 0), h: max(y1 - y0, 0) };
+
+}
+
+// draws the box of source into the same box of target, with target's composite operation and
+// alpha. the source can have any pixel size, it covers the whole paper
+function drawBox(target, source, box) {
+
+  if (box.w === 0 || box.h === 0) {
+    return;
+  }
+
+  let d = source.canvas.width / paperWidth;
+  target.drawingContext.drawImage(source.canvas, box.x * d, box.y * d, box.w * d, box.h * d, box.x, box.y, box.w, box.h);
+
+}
+
+// draws the box of g again: the layer as it was, with the ink over it like operation at alpha
+// ref for the operations: https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/globalCompositeOperation
+function showInk(g, box, operation = "source-over", alpha = 1) {
+
+  let ctx = g.drawingContext;
+
+  ctx.save();
+  ctx.clearRect(box.x, box.y, box.w, box.h);
+  drawBox(g, inkOriginal, box);
+  ctx.globalCompositeOperation = operation;
+  ctx.globalAlpha = alpha;
+  drawBox(g, inkBuffer, box);
+  ctx.restore();
+
+}
+
+// the layer at x, y (paper units) when the stroke started, [r, g, b, a]
+function inkUnder(x, y) {
+
+  if (!inkPixels) {
+    inkOriginal.loadPixels();
+    inkPixels = inkOriginal.pixels;
+  }
+
+  let d = inkOriginal.pixelDensity();
+  let px = constrain(floor(x), 0, paperWidth - 1) * d;
+  let py = constrain(floor(y), 0, paperHeight - 1) * d;
+  let i = (py * paperWidth * d + px) * 4;
+
+  return [inkPixels[i], inkPixels[i + 1], inkPixels[i + 2], inkPixels[i + 3]];
+
+}
@@ -0,0 +1,278 @@
+// symmetry and kaleidoscope
+// every stroke can be drawn again mirrored or turned around a center on the paper: a vertical
+// or horizontal mirror, both (quad), n turns around the center (radial) or n turns that are
+// mirrored too (kaleidoscope). a stroke keeps the symmetry it was drawn with, each copy is
+// drawn by the stroke's tool from mirrored samples, with its own tool state.
+
+let symmetryModes = ["off", "vertical", "horizontal", "quad", "radial", "kaleidoscope"];
+let symmetryMode = "off";
+let symmetryCenter; // center on the paper, in paper units
+let movingCenter = false; // true while a press on the paper moves the center
+
+let symmetryButton; // touchgui button, shows the mode and picks the next one
+let symmetryFold; // touchgui slider, number of turns of radial and kaleidoscope (2 - 12)
+let symmetryCenterToggle; // touchgui toggle, the next press on the paper moves the center
+let symmetryGuides; // touchgui toggle, shows the axes over the paper
+
+// symmetry controls above the tool buttons
+function symmetryPanel() {
+
+  symmetryCenter = { x: paperWidth / 2, y: paperHeight / 2 };
+
+  symmetryButton = createButton("", 0, 0);
+  symmetryButton.setStyle(buttonStyle());
+  symmetryButton.onPress = () => {
+    symmetryMode = symmetryModes[(symmetryModes.indexOf(symmetryMode) + 1) % symmetryModes.length];
+    symmetryButton.label = symmetryLabel();
+  };
+
+  symmetryFold = createSlider("Fold", 0, 0, 0, 0, 2, 12);
+  symmetryFold.setStyle(sliderStyle());
+  symmetryFold.val = 6;
+  symmetryFold.onChange = () => {
+    symmetryButton.label = symmetryLabel();
+  };
+
+  symmetryCenterToggle = createToggle("center", 0, 0);
+  symmetryCenterToggle.setStyle(toggleStyle());
+
+  symmetryGuides = createToggle("guides", 0, 0);
+  symmetryGuides.setStyle(toggleStyle());
+  symmetryGuides.val = true;
+
+  symmetryButton.label = symmetryLabel();
+
+}
+
+function layoutSymmetryPanel() {
+
+  place(symmetryButton, 0.005, 0.045, 0.055, 0.045);
+  place(symmetryFold, 0.065, 0.045, 0.055, 0.045);
+  place(symmetryCenterToggle, 0.005, 0.10, 0.055, 0.045);
+  place(symmetryGuides, 0.065, 0.10, 0.055, 0.045);
+
+}
+
+// the mode, with the number of turns where it has them
+function symmetryLabel() {
+
+  if (symmetryMode === "radial" || symmetryMode === "kaleidoscope") {
+    return symmetryMode + " " + round(symmetryFold.val);
+  }
+
+  return symmetryMode === "off" ? "symmetry off" : symmetryMode;
+
+}
+
+// the symmetry a new stroke is drawn with, undefined when it is off
+function currentSymmetry() {
+
+  if (symmetryMode === "off") {
+    return undefined;
+  }
+
+  return {
+    mode: symmetryMode,
+    n: round(symmetryFold.val),
+    x: symmetryCenter.x,
+    y: symmetryCenter.y
+  };
+
+}
+
+// the copies of a symmetry, each one a turn by angle (radians) of the point, mirrored
+// left-right around the center first when mirror is set. the first one leaves the stroke as it is
+function symmetryTransforms(symmetry) {
+
+  let transforms = [{ angle: 0, mirror: false }];
+
+  if (!symmetry) {
+    return transforms;
+  }
+
+  if (symmetry.mode === "vertical") {
+    transforms.push({ angle: 0, mirror: true });
+  } else if (symmetry.mode === "horizontal") {
+    transforms.push({ angle: PI, mirror: true });
+  } else if (symmetry.mode === "quad") {
+    transforms.push({ angle: 0, mirror: true }, { angle: PI, mirror: true }, { angle: PI, mirror: false });
+  } else {
+    for (let k = 1; k < symmetry.n; k++) {
+      transforms.push({ angle: TWO_PI * k / symmetry.n, mirror: false });
+    }
+    if (symmetry.mode === "kaleidoscope") {
+      for (let k = 0; k < symmetry.n; k++) {
+        transforms.push({ angle: TWO_PI * k / symmetry.n, mirror: true });
+      }
+    }
+  }
+
+  return transforms;
+
+}
+
+// a point [x, y] of the paper in a copy
+function mapPoint(x, y, t, center) {
+
+  let dx = (x - center.x) * (t.mirror ? -1 : 1);
+  let dy = y - center.y;
+
+  return [
+    center.x + dx * cos(t.angle) - dy * sin(t.angle),
+    center.y + dx * sin(t.angle) + dy * cos(t.angle)
+  ];
+
+}
+
+// a stroke sample in a copy, a pen's tilt turns along
+function mapSample(p, t, center) {
+
+  let [x, y] = mapPoint(p.x, p.y, t, center);
+  let sample = Object.assign({}, p, { x: x, y: y });
+
+  if (p.tiltX !== undefined) {
+    let [tx, ty] = mapPoint(p.tiltX, p.tiltY, t, { x: 0, y: 0 });
+    sample.tiltX = tx;
+    sample.tiltY = ty;
+  }
+
+  return sample;
+
+}
+
+// the stroke as copy k draws it: the settings are shared, the outline of a wash or hatching
+// and the corner of a shape are mirrored, a bucket has its own region in copyRegions. a tool with
+// an outline() gives the outline of a shape that can't be drawn straight from a turned corner.
+// with samples set the samples are mirrored too, for the tools that finish a whole stroke
+function symmetryStroke(stroke, k, t, tool, samples = false) {
+
+  let center = stroke.symmetry;
+  let copy = Object.assign({}, stroke);
+
+  copy.region = stroke.copyRegions ? stroke.copyRegions[k] : undefined;
+
+  if (samples) {
+    copy.samples = stroke.samples.map(p => mapSample(p, t, center));
+  }
+  if (stroke.polygon) {
+    copy.polygon = stroke.polygon.map(v => mapPoint(v[0], v[1], t, center));
+  }
+  if (stroke.corner) {
+    copy.corner = mapPoint(stroke.corner[0], stroke.corner[1], t, center);
+  }
+
+  // turns of a quarter keep rectangles straight
+  let turned = abs(sin(2 * t.angle)) > 0.001;
+  if (samples && turned && tool.outline) {
+    copy.outline = tool.outline(stroke).map(v => mapPoint(v[0], v[1], t, center));
+  }
+
+  return copy;
+
+}
+
+// a region copy k found the first time it was drawn is kept in the stroke, so it fills the
+// same pixels when the stroke is drawn again
+function keepCopyRegion(stroke, copy, k) {
+
+  if (copy.region && !(stroke.copyRegions && stroke.copyRegions[k])) {
+    stroke.copyRegions = stroke.copyRegions || [];
+    stroke.copyRegions[k] = copy.region;
+  }
+
+}
+
+// tool state of copy k of a stroke, kept in the stroke's state. tools that keep a buffer for
+// the whole stroke find the stroke's own state in main
+function symmetryState(state, k) {
+
+  if (!state.copies) {
+    state.copies = [];
+  }
+  if (!state.copies[k]) {
+    state.copies[k] = strokeState();
+    state.copies[k].main = state;
+  }
+
+  return state.copies[k];
+
+}
+
+// a press on the paper with "center" moves the center
+function beginCenterMove() {
+
+  movingCenter = true;
+
+}
+
+function updateSymmetryCenter() {
+
+  if (!movingCenter) {
+    return;
+  }
+
+  let m = paperMouse();
+  symmetryCenter = {
+    x: constrain(m.x, 0, paperWidth),
+    y: constrain(m.y, 0, paperHeight)
+  };
+
+}
+
+// the center stays where it was let go, the next press draws again
+function endCenterMove() {
+
+  if (!movingCenter) {
+    return;
+  }
+
+  movingCenter = false;
+  symmetryCenterToggle.val = false;
+
+}
+
+// the mirror axes and the turns as lines over the paper, and the center
+function drawSymmetryGuides() {
+
+  let symmetry = currentSymmetry();
+
+  if (!symmetry || !(symmetryGuides.val || movingCenter || symmetryCenterToggle.val)) {
+    return;
+  }
+
+  let paper = paperRect();
+  let cx = paper.x + symmetry.x * paper.scale;
+  let cy = paper.y + symmetry.y * paper.scale;
+  let reach = paper.w + paper.h; // longer than the paper in any direction
+
+  push();
+  drawingContext.save();
+  drawingContext.beginPath();
+  drawingContext.rect(paper.x, paper.y, paper.w, paper.h);
+  drawingContext.clip();
+
+  stroke(48, 56, 48, 120);
+  strokeWeight(1);
+  drawingContext.setLineDash([4, 4]);
+
+  for (let t of symmetryTransforms(symmetry)) {
+    if (t.mirror) {
+      // a mirror flips across the line at half its turn, upright for no turn
+      let a = t.angle / 2 + HALF_PI;
+      line(cx - cos(a) * reach, cy - sin(a) * reach, cx + cos(a) * reach, cy + sin(a) * reach);
+    } else if (symmetry.mode === "radial") {
+      // one spoke for each turn, the first straight up
+      let a = t.angle - HALF_PI;
+      line(cx, cy, cx + cos(a) * reach, cy + sin(a) * reach);
+    }
+  }
+
+  drawingContext.setLineDash([]);
+  noFill();
+  stroke("#303830");
+  circle(cx, cy, 10);
+
+  drawingContext.restore();
+  pop();
+
+}
@@ -0,0 +1,255 @@
+// zoom and pan
+// the paper can be shown bigger or smaller than fitted into the drawing area, and moved around
+// in it: the mouse wheel or a pinch zooms around the pointer, + and - zoom around the middle,
+// 0 fits the paper again and 1 shows it at 100% (one paper unit per screen pixel). space-drag
+// or a two finger drag moves it. paperRect() applies the view, so the tools get their samples
+// in paper units at any zoom and a brush size stays the same on the paper.
+
+let viewZoom = 1; // paper scale relative to the fitted paper
+let viewPanX = 0; // screen pixels the middle of the paper is moved from the middle of the area
+let viewPanY = 0;
+let minZoom = 0.5;
+let maxZoom = 16;
+let zoomStep = 1.25; // zoom factor of a key press
+
+let panning = false; // "space" or "fingers" while a gesture moves the view, no strokes start then
+let viewGesture; // midpoint and distance of the two fingers in the last frame
+let viewDrag; // mouse position in the last frame of a space-drag
+let viewCursor = false; // true while the move cursor is shown
+let fitButton, actualSizeButton; // touchgui buttons of the zoom presets
+
+// zoom presets above the color picker
+function viewPanel() {
+
+  fitButton = createButton("fit", 0, 0);
+  fitButton.setStyle(buttonStyle());
+  fitButton.onPress = fitView;
+
+  actualSizeButton = createButton("100%", 0, 0);
+  actualSizeButton.setStyle(buttonStyle());
+  actualSizeButton.onPress = actualSizeView;
+
+}
+
+function layoutViewPanel() {
+
+  place(fitButton, 0.47, 0.045, 0.033, 0.045);
+  place(actualSizeButton, 0.507, 0.045, 0.033, 0.045);
+
+}
+
+// the zoom in percent under the presets
+function drawViewPanel() {
+
+  push();
+  fill("#303830");
+  noStroke();
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  text("zoom " + round(paperRect().scale * 100) + "%", windowWidth * 0.47, windowHeight * 0.115);
+  pop();
+
+}
+
+// pans and pinches, called every frame before a stroke could start
+function updateView() {
+
+  // two fingers: the stroke the first finger started is taken back, the view follows the fingers
+  if (touches.length >= 2) {
+    cancelStroke();
+    picking = false;
+    panning = "fingers";
+
+    let a = touches[0];
+    let b = touches[1];
+    let gesture = {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      d: max(dist(a.x, a.y, b.x, b.y), 1)
+    };
+
+    if (viewGesture) {
+      viewPanX += gesture.x - viewGesture.x;
+      viewPanY += gesture.y - viewGesture.y;
+      zoomAt(gesture.x, gesture.y, gesture.d / viewGesture.d);
+    }
+    viewGesture = gesture;
+    return;
+  }
+
+  viewGesture = undefined;
+
+  // space-drag, a stroke that is already going keeps going
+  if (!panning && keyIsDown(32) && mouseIsPressed && !strokeInProgress && !picking) {
+    panning = "space";
+    viewDrag = { x: mouseX, y: mouseY };
+  }
+
+  if (panning === "space" && mouseIsPressed) {
+    viewPanX += mouseX - viewDrag.x;
+    viewPanY += mouseY - viewDrag.y;
+    viewDrag = { x: mouseX, y: mouseY };
+    clampPan();
+  }
+
+  // the gesture is over once every finger and button is up, a finger left on the paper
+  // after a pinch doesn't draw
+  if (!mouseIsPressed && touches.length === 0) {
+    panning = false;
+  }
+
+}
+
+// a move cursor while space is held over the drawing area, over the eyedropper's cursor. it is
+// only set when it changes, afterwards the eyedropper's cursor comes back
+function updateViewCursor() {
+
+  let moving = Boolean(panning || (keyIsDown(32) && overArea()));
+
+  if (moving !== viewCursor) {
+    viewCursor = moving;
+    cursor(moving ? MOVE : (eyedropperCursor ? CROSS : ARROW));
+  }
+
+}
+
+// zooms by factor, keeping the paper under the screen position (sx, sy) where it is
+function zoomAt(sx, sy, factor) {
+
+  let zoom = constrain(viewZoom * factor, minZoom, maxZoom);
+  let f = zoom / viewZoom;
+  let area = drawingArea();
+  let cx = area.x + area.w / 2 + viewPanX;
+  let cy = area.y + area.h / 2 + viewPanY;
+
+  viewZoom = zoom;
+  viewPanX = sx + (cx - sx) * f - (area.x + area.w / 2);
+  viewPanY = sy + (cy - sy) * f - (area.y + area.h / 2);
+  clampPan();
+
+}
+
+// keeps a part of the paper in the drawing area, so it can't get lost
+function clampPan() {
+
+  let area = drawingArea();
+  let paper = paperRect();
+  let rangeX = max(area.w / 2 + paper.w / 2 - 40, 0);
+  let rangeY = max(area.h / 2 + paper.h / 2 - 40, 0);
+
+  viewPanX = constrain(viewPanX, -rangeX, rangeX);
+  viewPanY = constrain(viewPanY, -rangeY, rangeY);
+
+}
+
+// the paper fitted into the drawing area
+function fitView() {
+
+  viewZoom = 1;
+  viewPanX = 0;
+  viewPanY = 0;
+
+}
+
+// one paper unit per screen pixel, in the middle of the drawing area
+function actualSizeView() {
+
+  viewZoom = constrain(1 / fittedPaperRect().scale, minZoom, maxZoom);
+  viewPanX = 0;
+  viewPanY = 0;
+
+}
+
+// true while the paper is shown some other way than fitted
+function viewChanged() {
+
+  return viewZoom !== 1 || viewPanX !== 0 || viewPanY !== 0;
+
+}
+
+// the wheel zooms around the pointer over the drawing area, pinching a trackpad sends a wheel
+// with ctrl held. returns true when the wheel was used
+// ref for mouseWheel(): https://p5js.org/reference/p5/mouseWheel/
+function wheelZoom(event) {
+
+  if (!overArea()) {
+    return false;
+  }
+
+  zoomAt(mouseX, mouseY, pow(1.0015, -event.delta));
+  return true;
+
+}
+
+// zoom keys, returns true when the key was used. typing in a text field isn't a shortcut
+function viewKey() {
+
+  if (document.activeElement && document.activeElement.tagName === "INPUT") {
+    return false;
+  }
+
+  let area = drawingArea();
+  let cx = area.x + area.w / 2;
+  let cy = area.y + area.h / 2;
+
+  if (key === "+" || key === "=") {
+    zoomAt(cx, cy, zoomStep);
+  } else if (key === "-" || key === "_") {
+    zoomAt(cx, cy, 1 / zoomStep);
+  } else if (key === "0") {
+    fitView();
+  } else if (key === "1") {
+    actualSizeView();
+  } else if (key !== " ") {
+    return false;
+  }
+
+  return true; // space too, so the page doesn't scroll
+
+}
+
+// the paper can be bigger than the drawing area when zoomed in, what is drawn on it is cut
+// to the area
+function beginViewClip() {
+
+  if (!viewChanged()) {
+    return;
+  }
+
+  let area = drawingArea();
+
+  drawingContext.save();
+  drawingContext.beginPath();
+  drawingContext.rect(area.x, area.y, area.w, area.h);
+  drawingContext.clip();
+
+}
+
+function endViewClip() {
+
+  if (viewChanged()) {
+    drawingContext.restore();
+  }
+
+}
+
+// a plain drawing area and a white paper under the layers, the background art only has them
+// where the fitted paper is
+function drawViewBackground() {
+
+  if (!viewChanged()) {
+    return;
+  }
+
+  let area = drawingArea();
+  let paper = paperRect();
+
+  push();
+  noStroke();
+  fill("#e6dfd9");
+  rect(area.x, area.y, area.w, area.h);
+  fill("white");
+  rect(paper.x, paper.y, paper.w, paper.h);
+  pop();
+
+}
@@ -0,0 +1,183 @@
+// watercolor wash
+// a lasso traced on the paper, or a click inside a shape drawn on it, is filled with the
+// watercolor fill of p5.brush. the outline is worked out once, when the stroke ends, and
+// kept in the stroke with the bleed it was filled with, like the bucket keeps its region.
+// ref for the watercolor fill: https://github.com/acamposuribe/p5.brush#fill-operations
+
+let watercolorBleed; // touchgui slider, how far the wash bleeds over its outline (0 - 100)
+let watercolorOpacity = 120; // p5.brush fill opacity of a wash (0 - 255)
+let watercolorPoints = 48; // vertices of a wash outline at most, p5.brush's fill slows down with every one
+let watercolorClick = 4; // paper units a stroke travels at most to count as a click
+let watercolorTolerance = 30; // color tolerance (0 - 100) of the region a click fills
+
+// registers the watercolor tool with its options
+function setupWatercolor() {
+
+  // the samples only trace the lasso, the wash is painted by watercolorFinish()
+  let watercolor = addTool("watercolor", toolButton("watercolor"), () => {});
+  watercolor.finish = watercolorFinish;
+  watercolor.preview = lassoPreview;
+
+  watercolorBleed = createSlider("Bleed", 0, 0, 0, 0, 0, 100);
+  watercolorBleed.setStyle(sliderStyle());
+  watercolorBleed.val = 30;
+
+  watercolor.options = [
+    { caption: "bleed", w: 0.035 },
+    { control: watercolorBleed, w: 0.12 }
+  ];
+
+}
+
+// fills the stroke's outline when the stroke is done
+function watercolorFinish(g, stroke, state) {
+
+  if (!stroke.polygon) {
+    stroke.polygon = lassoOutline(g, stroke);
+    stroke.bleed = map(watercolorBleed.val, 0, 100, 0, 0.5); // p5.brush bleeds 0.5 at most
+  }
+
+  if (stroke.polygon.length < 3) {
+    return;
+  }
+
+  loadBrushBuffer(g, state);
+  drawWithBrush(g, () => {
+    brush.noStroke();
+    brush.fill(stroke.color, watercolorOpacity);
+    brush.bleed(stroke.bleed);
+    brush.polygon(stroke.polygon);
+    brush.noFill();
+  });
+
+}
+
+// the outline to fill in paper units, as [x, y] points: the lasso of the stroke,
+// or the edge of the region under a click. the hatching tool outlines its regions the same way
+function lassoOutline(g, stroke) {
+
+  let samples = stroke.samples;
+  let travelled = 0;
+  for (let i = 1; i < samples.length; i++) {
+    travelled += dist(samples[i - 1].x, samples[i - 1].y, samples[i].x, samples[i].y);
+  }
+
+  if (travelled <= watercolorClick) {
+    let region = findRegion(g, samples[0], watercolorTolerance, true);
+    return resampleOutline(traceOutline(region), watercolorPoints);
+  }
+
+  // the lasso closes itself, parts of it off the paper are kept on the edge
+  let lasso = samples.map(p => [constrain(p.x, 0, paperWidth), constrain(p.y, 0, paperHeight)]);
+  return resampleOutline(lasso, watercolorPoints);
+
+}
+
+// outer edge of a region from findRegion(), in paper units, with moore neighbor tracing
+// ref: https://en.wikipedia.org/wiki/Moore_neighborhood
+function traceOutline(region) {
+
+  let w = region.width;
+  let h = region.height;
+  let spans = region.spans;
+  let mask = new Uint8Array(w * h);
+
+  // the tracing starts at the top left pixel of the region, nothing is left of it
+  let startX = 0;
+  let startY = h;
+  for (let i = 0; i < spans.length; i += 3) {
+    let y = spans[i];
+    mask.fill(1, y * w + spans[i + 1], y * w + spans[i + 2] + 1);
+    if (y < startY || (y === startY && spans[i + 1] < startX)) {
+      startX = spans[i + 1];
+      startY = y;
+    }
+  }
+
+  if (startY === h) {
+    return [];
+  }
+
+  let inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h && mask[y * w + x] === 1;
+
+  // the 8 neighbors clockwise, starting on the left
+  let around = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+  let x = startX;
+  let y = startY;
+  let backX = startX - 1; // the last pixel looked at outside the region
+  let backY = startY;
+  let edge = [[x, y]];
+
+  for (let steps = 0; steps < w * h; steps++) {
+
+    // walks clockwise around the pixel from the one outside to the next one inside
+    let from = around.findIndex(n => x + n[0] === backX && y + n[1] === backY);
+    let found = false;
+    for (let k = 1; k <= 8; k++) {
+      let n = around[(from + k) % 8];
+      if (inside(x + n[0], y + n[1])) {
+        let before = around[(from + k - 1) % 8];
+        backX = x + before[0];
+        backY = y + before[1];
+        x += n[0];
+        y += n[1];
+        found = true;
+        break;
+      }
+    }
+
+    if (!found || (x === startX && y === startY)) {
+      break;
+    }
+    edge.push([x, y]);
+  }
+
+  return edge.map(v => [(v[0] + 0.5) * paperWidth / w, (v[1] + 0.5) * paperHeight / h]);
+
+}
+
+// about count points spread evenly along a closed outline
+function resampleOutline(points, count) {
+
+  let perimeter = 0;
+  for (let i = 0; i < points.length; i++) {
+    let next = points[(i + 1) % points.length];
+    perimeter += dist(points[i][0], points[i][1], next[0], next[1]);
+  }
+
+  let step = perimeter / count;
+  let outline = [];
+  let travelled = step;
+
+  for (let i = 0; i < points.length; i++) {
+    if (travelled >= step) {
+      outline.push(points[i]);
+      travelled = 0;
+    }
+    let next = points[(i + 1) % points.length];
+    travelled += dist(points[i][0], points[i][1], next[0], next[1]);
+  }
+
+  return outline;
+
+}
+
+// dashed lasso while it is traced, closed back to where it started
+function lassoPreview(lasso) {
+
+  let paper = paperRect();
+
+  push();
+  noFill();
+  stroke(lasso.color);
+  strokeWeight(1.5);
+  drawingContext.setLineDash([6, 4]);
+  beginShape();
+  for (let p of lasso.samples) {
+    vertex(paper.x + p.x * paper.scale, paper.y + p.y * paper.scale);
+  }
+  endShape(CLOSE);
+  pop();
+
+}
@@ -0,0 +1,260 @@
+// paint load and wet paint
+// the paintbrush carries a load of paint that is used up along the stroke: the stroke fades and
+// the bristles go dry one after the other, leaving streaks. picking a color dips the brush again.
+// the paint of a paintbrush stroke stays wet for a while, going over it picks some of it up and
+// mixes it into the paint on the brush like pigments mix (Kubelka-Munk, with spectral.js, the
+// same mix as p5.brush's Mix shader). only the paintbrush's own paint is wet: the strokes of the
+// other tools cover it. the wet map is made from the strokes as they finish, so it goes back
+// with undo (see history.js) and is the same again when the painting is opened.
+// ref for spectral.js: https://github.com/rvanwijnen/spectral.js
+
+let brushLoad = 1; // paint on the paintbrush (0 - 1), kept from stroke to stroke
+let brushPaint; // color of that paint, the brush color with what it picked up mixed in
+let loadPerUnit = 1 / 1500; // load used up per paper unit the brush moves
+let dryLoad = 0.4; // below this load the bristles start to go dry
+let bristleCount = 12; // bristles that can go dry, each one a streak
+let pickupAmount = 0.12; // share of wet paint mixed into the brush per sample
+let pickupLoad = 0.5; // load the brush gets back for the paint it picks up
+let dryTime = 30000; // ms the paint of a stroke stays wet
+let wetCell = 16; // paper units per cell of the wet maps
+let wetMaps = new WeakMap(); // for each buffer, when the paint in each cell was laid (session ms), -Infinity when dry
+
+let paintDab; // the paint of one sample, laid into the stroke's ink (see strokeink.js)
+
+// a picked color dips the brush, full of that color
+function reloadBrush(c) {
+
+  brushLoad = 1;
+  brushPaint = c;
+
+}
+
+// the paint on the brush when the stroke starts, kept in the stroke, so it is drawn the same again
+function strokePaint(stroke) {
+
+  if (!stroke.paint) {
+    stroke.paint = { load: brushLoad, color: brushPaint || stroke.color };
+  }
+
+  return stroke.paint;
+
+}
+
+// clears the dab for a sample from `from` to `to` with a radius up to widest, and gives the box
+// the sample can reach: the paint around the way, and the streaks of dry bristles past both ends
+function startDab(from, to, widest) {
+
+  if (!paintDab) {
+    paintDab = createGraphics(paperWidth, paperHeight);
+    paintDab.pixelDensity(paperDensity);
+  }
+
+  let box = inkBox([[from.x, from.y], [to.x, to.y]], 2 * (widest + diff * 2));
+  paintDab.drawingContext.clearRect(box.x, box.y, box.w, box.h);
+
+  return box;
+
+}
+
+// the brush's load and paint in state, and its bristles, for a stroke's first sample
+function loadState(stroke, state) {
+
+  if (state.load !== undefined) {
+    return;
+  }
+
+  let paint = strokePaint(stroke);
+  state.load = paint.load;
+  state.paint = paint.color;
+
+  state.bristles = [];
+  for (let i = 0; i < bristleCount; i++) {
+    state.bristles.push({ offset: random(-1, 1), dryAt: random() });
+  }
+
+}
+
+// uses up paint for the way from pp to p and picks up wet paint at p. the paint under the brush
+// is the layer as it was when the stroke started, the stroke doesn't pick up its own paint
+function usePaint(g, stroke, state, p, pp) {
+
+  // strokes from before the paint load had endless paint
+  if (!stroke.paint.endless) {
+    state.load = max(state.load - dist(pp.x, pp.y, p.x, p.y) * loadPerUnit, 0);
+  }
+
+  let time = stroke.start + p.t;
+  if (stroke.paint.endless || !isWet(g, p.x, p.y, time)) {
+    return;
+  }
+
+  let under = inkUnder(p.x, p.y);
+  if (under[3] === 0) {
+    return;
+  }
+
+  // ref for spectral.mix(): https://github.com/rvanwijnen/spectral.js#mix
+  let amount = pickupAmount * under[3] / 255;
+  let underColor = "#" + hex(under[0], 2) + hex(under[1], 2) + hex(under[2], 2);
+  state.paint = spectral.mix(state.paint, underColor, amount);
+  state.load = min(state.load + amount * pickupLoad, 1);
+
+}
+
+// lays the paint drawn into paintDab between from and to into the stroke's ink, dry bristles
+// cut streaks along the way the brush moved, less paint is fainter. box is the dab's box
+function layPaint(g, ink, state, from, to, radius, box) {
+
+  let dryness = 1 - state.load / dryLoad;
+
+  if (dryness > 0) {
+    let d = max(dist(from.x, from.y, to.x, to.y), 0.001);
+    let ux = (to.x - from.x) / d;
+    let uy = (to.y - from.y) / d;
+    let reach = radius + diff * 2; // the brush is this wide around its middle line
+
+    paintDab.push();
+    paintDab.drawingContext.globalCompositeOperation = "destination-out";
+    paintDab.stroke(0);
+    paintDab.strokeWeight(max(radius * 0.15, 1));
+    for (let bristle of state.bristles) {
+      if (bristle.dryAt < dryness) {
+        let ox = -uy * bristle.offset * reach;
+        let oy = ux * bristle.offset * reach;
+        paintDab.line(from.x - ux * reach + ox, from.y - uy * reach + oy, to.x + ux * reach + ox, to.y + uy * reach + oy);
+      }
+    }
+    paintDab.pop();
+  }
+
+  // under the paint already in the stroke, so the stroke doesn't get darker where samples overlap
+  ink.push();
+  ink.drawingContext.globalCompositeOperation = "destination-over";
+  ink.drawingContext.globalAlpha = sqrt(state.load);
+  drawBox(ink, paintDab, box);
+  ink.pop();
+
+  showInk(g, box);
+
+}
+
+// a finished paintbrush stroke is wet where it went
+function paintFinish(g, stroke, state) {
+
+  let samples = stroke.samples;
+  let time = stroke.start + samples[samples.length - 1].t;
+
+  coverCells(wetMap(g), samples.map(p => [p.x, p.y]), stroke.size + diff * 2, time);
+
+  // the brush keeps what is left on it for the next stroke
+  if (state === currentState && state.load !== undefined) {
+    brushLoad = state.load;
+    brushPaint = state.paint;
+  }
+
+}
+
+// a finished stroke of another tool covers the wet paint under it: along its samples, and over
+// the whole of a filled outline or shape and a bucket's region
+function dryPaint(g, stroke, tool) {
+
+  let map = wetMap(g);
+
+  if (stroke.region) {
+    let region = stroke.region;
+    let sx = paperWidth / region.width;
+    let sy = paperHeight / region.height;
+    for (let i = 0; i < region.spans.length; i += 3) {
+      let row = floor(region.spans[i] * sy / wetCell);
+      for (let col = floor(region.spans[i + 1] * sx / wetCell); col <= floor(region.spans[i + 2] * sx / wetCell); col++) {
+        map.times[row * map.cols + col] = -Infinity;
+      }
+    }
+    return;
+  }
+
+  let reach = stroke.size + diff * 2;
+  coverCells(map, stroke.samples.map(p => [p.x, p.y]), reach, -Infinity);
+
+  let outline = stroke.outline || stroke.polygon || (tool.outline && stroke.corner ? tool.outline(stroke) : undefined);
+  if (outline && outline.length > 0) {
+    let xs = outline.map(v => v[0]);
+    let ys = outline.map(v => v[1]);
+    setCells(map, min(xs) - reach, min(ys) - reach, max(xs) + reach, max(ys) + reach, -Infinity);
+  }
+
+}
+
+// sets the cells within reach of each point [x, y] (paper units) to time
+function coverCells(map, points, reach, time) {
+
+  for (let [x, y] of points) {
+    setCells(map, x - reach, y - reach, x + reach, y + reach, time);
+  }
+
+}
+
+// sets the cells of the box from x0, y0 to x1, y1 (paper units) to time
+function setCells(map, x0, y0, x1, y1, time) {
+
+  let col0 = max(floor(x0 / wetCell), 0);
+  let col1 = min(floor(x1 / wetCell), map.cols - 1);
+  let row0 = max(floor(y0 / wetCell), 0);
+  let row1 = min(floor(y1 / wetCell), map.rows - 1);
+
+  for (let row = row0; row <= row1; row++) {
+    for (let col = col0; col <= col1; col++) {
+      map.times[row * map.cols + col] = time;
+    }
+  }
+
+}
+
+// the wet map of buffer g, made the first time it is painted
+function wetMap(g) {
+
+  if (!wetMaps.has(g)) {
+    let cols = ceil(paperWidth / wetCell);
+    let rows = ceil(paperHeight / wetCell);
+    wetMaps.set(g, { cols: cols, rows: rows, times: new Float64Array(cols * rows).fill(-Infinity) });
+  }
+
+  return wetMaps.get(g);
+
+}
+
+// true when paint at x, y (paper units) of buffer g is still wet at time (session ms)
+function isWet(g, x, y, time) {
+
+  let map = wetMap(g);
+  let col = constrain(floor(x / wetCell), 0, map.cols - 1);
+  let row = constrain(floor(y / wetCell), 0, map.rows - 1);
+
+  return time - map.times[row * map.cols + col] < dryTime;
+
+}
+
+// the wet map of buffer g as it is, kept with an undo snapshot
+function wetSnapshot(g) {
+
+  return wetMaps.has(g) ? wetMaps.get(g).times.slice() : undefined;
+
+}
+
+// puts the wet map of a snapshot back, the paint is as wet as it was then
+function restoreWetPaint(g, times) {
+
+  if (times) {
+    wetMap(g).times.set(times);
+  } else {
+    wetMaps.delete(g);
+  }
+
+}
+
+// a cleared buffer has no wet paint
+function forgetWetPaint(g) {
+
+  wetMaps.delete(g);
+
+}